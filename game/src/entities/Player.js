@@ -25,11 +25,35 @@ var Player = function () {
     this.stateIdle.addFrame(this.frameIdle2);
     */
     
+    // Or create states from a TexturePacker or Aseprite sprite sheet
+    /*
+    var states = wfl.core.entities.animation.spriteSheets.load(
+        Assets.get(Assets.MY_SHEET_DATA),
+        Assets.get(Assets.MY_SHEET)
+    );
+    this.stateIdle = states.idle;
+    */
+    
     // Add states
     /*
     this.addState(Player.STATE.IDLE, this.stateIdle);
     */
     
+    // Or let an animator pick the state instead of a switch in update()
+    /*
+    this.animator = wfl.core.entities.animation.Animator.fromJSON({
+        parameters  : {speed : "float"},
+        transitions : [
+            {from : "IDLE", to : "WALK", conditions : [
+                {parameter : "speed", operator : ">", value : 0.01}
+            ]},
+            {from : "WALK", to : "IDLE", conditions : [
+                {parameter : "speed", operator : "<=", value : 0.01}
+            ]}
+        ]
+    });
+    */
+    
     // Set constants
     this.maxSpeed        = Player.MAX_SPEED;
     this.maxAcceleration = Player.MAX_ACCELERATION;
@@ -53,7 +77,7 @@ Object.defineProperties(Player, {
   },
 
   BOOST_ACCELERATION : {
-    value : .5
+    value : 0.5
   },
   STATE : {
     value : {
@@ -67,6 +91,11 @@ Player.prototype = Object.freeze(Object.create(PhysicsObject.prototype, {
     value : function (dt) {
       PhysicsObject.prototype.update.call(this, dt);
       
+      // Update the animator's parameters
+      /*
+      this.animator.setFloat("speed", this.velocity.getMagnitude());
+      */
+      
       // Handle state
       /*
       var stateName = this.currentState.name;
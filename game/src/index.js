@@ -49,7 +49,7 @@ var resize = function () {
   game.renderer.view.style.width  = w + 'px';
   game.renderer.view.style.height = h + 'px';
   game.renderer.resize(w, h);
-}
+};
 
 window.onload = onLoadWindow;
 window.onresize = onResize;
\ No newline at end of file
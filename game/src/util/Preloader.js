@@ -22,7 +22,7 @@ var Preloader = function (onComplete) {
         var assetObj = {
             id : asset,
             src : Assets[asset]
-        }
+        };
 
         needToLoad.push(assetObj);
     }
@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * A named input action (such as "jump" or "fire") that is bound to one or
+ * more keyboard keys and mouse buttons
+ */
+var Action = function (name, keys = [], mouseButtons = []) {
+  this.name         = name;
+  this.keys         = [];
+  this.mouseButtons = [];
+
+  // Whether or not the action was active at the end of the previous frame
+  this.wasActive    = false;
+
+  this.bindKey(keys);
+  this.bindMouseButton(mouseButtons);
+};
+
+Action.prototype = Object.freeze(Object.create(Action.prototype, {
+  /**
+   * Binds a key code (or an array of key codes) to this action
+   */
+  bindKey: {
+    value: function (keyCode) {
+      for (let k of [].concat(keyCode)) {
+        if (this.keys.indexOf(k) < 0) {
+          this.keys.push(k);
+        }
+      }
+
+      return this;
+    }
+  },
+
+  /**
+   * Unbinds a key code (or an array of key codes) from this action
+   */
+  unbindKey: {
+    value: function (keyCode) {
+      for (let k of [].concat(keyCode)) {
+        var index = this.keys.indexOf(k);
+
+        if (index >= 0) {
+          this.keys.splice(index, 1);
+        }
+      }
+
+      return this;
+    }
+  },
+
+  /**
+   * Binds a mouse button ID (or an array of IDs) to this action.
+   * 1: Left, 2: Middle, 3: Right
+   */
+  bindMouseButton: {
+    value: function (which) {
+      for (let w of [].concat(which)) {
+        if (this.mouseButtons.indexOf(w) < 0) {
+          this.mouseButtons.push(w);
+        }
+      }
+
+      return this;
+    }
+  },
+
+  /**
+   * Unbinds a mouse button ID (or an array of IDs) from this action
+   */
+  unbindMouseButton: {
+    value: function (which) {
+      for (let w of [].concat(which)) {
+        var index = this.mouseButtons.indexOf(w);
+
+        if (index >= 0) {
+          this.mouseButtons.splice(index, 1);
+        }
+      }
+
+      return this;
+    }
+  },
+
+  /**
+   * Returns whether or not any of the bound keys or mouse buttons are
+   * currently pressed
+   */
+  isActive: {
+    value: function (keyboard, mouse) {
+      if (keyboard) {
+        for (let k of this.keys) {
+          if (keyboard.isPressed(k)) {
+            return true;
+          }
+        }
+      }
+
+      if (mouse) {
+        for (let w of this.mouseButtons) {
+          var state = mouse.getState(w);
+
+          if (state && state.isDown) {
+            return true;
+          }
+        }
+      }
+
+      return false;
+    }
+  }
+}));
+
+Object.freeze(Action);
+
+module.exports = Action;
\ No newline at end of file
@@ -0,0 +1,137 @@
+"use strict";
+
+var Action = require('./Action.js');
+var Axis   = require('./Axis.js');
+
+/**
+ * Maps named actions and axes to the keyboard and mouse so that scenes don't
+ * have to query raw key codes
+ */
+var ActionMap = function (keyboard, mouse) {
+  this.keyboard = keyboard;
+  this.mouse    = mouse;
+
+  this._actions = {};
+  this._axes    = {};
+};
+
+ActionMap.prototype = Object.freeze(Object.create(ActionMap.prototype, {
+  /**
+   * Binds keys and mouse buttons to the action with the given name, creating
+   * the action if it doesn't exist yet
+   */
+  bind: {
+    value: function (name, keys = [], mouseButtons = []) {
+      var action = this._actions[name];
+
+      if (action) {
+        action.bindKey(keys);
+        action.bindMouseButton(mouseButtons);
+      } else {
+        action = new Action(name, keys, mouseButtons);
+        this._actions[name] = action;
+      }
+
+      return action;
+    }
+  },
+
+  /**
+   * Binds a pair of key sets to the axis with the given name, creating the
+   * axis if it doesn't exist yet
+   */
+  bindAxis: {
+    value: function (name, negativeKeys = [], positiveKeys = []) {
+      var axis = this._axes[name];
+
+      if (axis) {
+        axis.negative.bindKey(negativeKeys);
+        axis.positive.bindKey(positiveKeys);
+      } else {
+        axis = new Axis(name, negativeKeys, positiveKeys);
+        this._axes[name] = axis;
+      }
+
+      return axis;
+    }
+  },
+
+  /**
+   * Removes the action or axis with the given name
+   */
+  unbind: {
+    value: function (name) {
+      delete this._actions[name];
+      delete this._axes[name];
+    }
+  },
+
+  getAction: {
+    value: function (name) {
+      return this._actions[name];
+    }
+  },
+
+  /**
+   * Returns whether or not the action is currently active
+   */
+  isActive: {
+    value: function (name) {
+      var action = this._actions[name];
+      return !!action && action.isActive(this.keyboard, this.mouse);
+    }
+  },
+
+  /**
+   * Returns whether or not the action has just become active this frame
+   */
+  justActivated: {
+    value: function (name) {
+      var action = this._actions[name];
+      return !!action && !action.wasActive &&
+             action.isActive(this.keyboard, this.mouse);
+    }
+  },
+
+  /**
+   * Returns whether or not the action has just stopped being active this frame
+   */
+  justDeactivated: {
+    value: function (name) {
+      var action = this._actions[name];
+      return !!action && action.wasActive &&
+             !action.isActive(this.keyboard, this.mouse);
+    }
+  },
+
+  /**
+   * Returns the value of the axis with the given name, from -1 to 1
+   */
+  getAxis: {
+    value: function (name) {
+      var axis = this._axes[name];
+
+      if (axis) {
+        return axis.getValue(this.keyboard, this.mouse);
+      }
+
+      return 0;
+    }
+  },
+
+  /**
+   * To be called at the end of every frame
+   */
+  update: {
+    value: function () {
+      for (let name in this._actions) {
+        var action = this._actions[name];
+        action.wasActive = action.isActive(this.keyboard, this.mouse);
+      }
+    }
+  }
+}));
+
+Object.freeze(ActionMap);
+
+module.exports = ActionMap;
\ No newline at end of file
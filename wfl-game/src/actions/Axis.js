@@ -0,0 +1,31 @@
+"use strict";
+
+var Action = require('./Action.js');
+
+/**
+ * A named input axis (such as "move_x") built from a pair of actions. Its value
+ * is -1 when only the negative side is active, 1 when only the positive side
+ * is active, and 0 otherwise
+ */
+var Axis = function (name, negativeKeys = [], positiveKeys = []) {
+  this.name     = name;
+  this.negative = new Action(name + "_negative", negativeKeys);
+  this.positive = new Action(name + "_positive", positiveKeys);
+};
+
+Axis.prototype = Object.freeze(Object.create(Axis.prototype, {
+  getValue: {
+    value: function (keyboard, mouse) {
+      var value = 0;
+
+      if (this.negative.isActive(keyboard, mouse)) value -= 1;
+      if (this.positive.isActive(keyboard, mouse)) value += 1;
+
+      return value;
+    }
+  }
+}));
+
+Object.freeze(Axis);
+
+module.exports = Axis;
\ No newline at end of file
@@ -1,5 +1,14 @@
-var Action = require('./Action.js');
+"use strict";
+
+var Action    = require('./Action.js');
+var Axis      = require('./Axis.js');
+var ActionMap = require('./ActionMap.js');
 
 module.exports = {
-    Actions: Action
+    Action    : Action,
+    Axis      : Axis,
+    ActionMap : ActionMap,
+
+    // The name Action was first exported under
+    Actions   : Action
 };
\ No newline at end of file
@@ -1,7 +1,8 @@
 "use strict";
 
-const PIXI    = require('pixi.js');
+const PIXI    = require('../pixi');
 
+const actions = require('../actions');
 const display = require('../display');
 const input   = require('../input');
 const debug   = require('../debug');
@@ -9,30 +10,86 @@ const debug   = require('../debug');
 // Increments with every game created
 var currentId = 0;
 
-var Game = function (canvasDisplayObject) {
-  this.canvas = new display.canvas.create(canvasDisplayObject);
+/**
+ * Options:
+ * - headless: If true, the game has no canvas, renderer, ticker or DOM input.
+ *             Its scene is only updated when step() is called, so gameplay can
+ *             run outside of a browser (such as in tests or on a server)
+ * - width:    Width of the game's screen when headless
+ * - height:   Height of the game's screen when headless
+ */
+var Game = function (canvasDisplayObject, options = {}) {
+  this.headless = !!options.headless;
 
-  // If the creation of the canvas failed, stop the game from starting
-  if (!this.canvas) {
-    console.error("Canvas could not be created. WFL Game cannot be created.");
-    return;
+  if (this.headless) {
+    this.canvas = {
+      width:  options.width  || display.canvas.DEFAULT_WIDTH,
+      height: options.height || display.canvas.DEFAULT_HEIGHT
+    };
+  } else {
+    this.canvas = new display.canvas.create(canvasDisplayObject);
+
+    // If the creation of the canvas failed, stop the game from starting
+    if (!this.canvas) {
+      console.error("Canvas could not be created. WFL Game cannot be created.");
+      return;
+    }
   }
 
   this.pixi     = PIXI;
-  this.pixiApp  = new PIXI.Application(this.canvas.width, this.canvas.height, {view: this.canvas});
-  this.stage    = this.pixiApp.stage;
-  this.renderer = this.pixiApp.renderer;
-  this.ticker   = this.pixiApp.ticker;
   this.loader   = PIXI.loader;
   
+  if (this.headless) {
+    this.pixiApp  = undefined;
+    this.stage    = new PIXI.Container();
+    this.renderer = undefined;
+    this.ticker   = undefined;
+  } else {
+    this.pixiApp  = new PIXI.Application(this.canvas.width, this.canvas.height, {view: this.canvas});
+    this.stage    = this.pixiApp.stage;
+    this.renderer = this.pixiApp.renderer;
+    this.ticker   = this.pixiApp.ticker;
+  }
+  
+  // Headless games use input devices that aren't bound to the DOM. Their
+  // states can still be set manually, such as with keyboard.press()
   this.keyboard = new input.Keyboard();
-  this.mouse    = new input.Mouse(this.canvas);
-  this._scene   = undefined;
+  this.mouse    = new input.Mouse(this.headless ? undefined : this.canvas, !this.headless);
+  this.actions  = new actions.ActionMap(this.keyboard, this.mouse);
+  
+  // Input devices that are never pressed. Given to scenes that shouldn't
+  // receive input (see _updateSceneInput())
+  this._inertKeyboard = new input.Keyboard();
+  this._inertMouse    = new input.Mouse(undefined, false);
+  this._inertActions  = new actions.ActionMap(this._inertKeyboard, this._inertMouse);
+  
+  // Scenes from bottom to top. The topmost scene is the "current" scene
+  this._sceneStack = [];
+  
+  // The transition between two scenes that is currently running, if any:
+  // {transition, from, to}
+  this._transition = undefined;
   
   // Arbitrary game ID
   this._id      = currentId++;
   
   this._excessDt = 0;
+  
+  // When fixedStep is true, the scene is updated stepRate times per second no
+  // matter how often the game is rendered. See setFixedStep()
+  this.fixedStep          = false;
+  this.stepRate           = Game.DEFAULT_STEP_RATE;
+  this.maxStepsPerTick    = Game.DEFAULT_MAX_STEPS_PER_TICK;
+  
+  // How far (from 0 to 1) the game is between the last fixed step and the
+  // next one. Used to interpolate the displayed positions of game objects
+  this.interpolationAlpha  = 1;
+  this._stepAccumulator    = 0;
+  this._interpolatedScenes = [];
+  
+  if (this.headless) {
+    return;
+  }
 
   this.keyboard.start();
 
@@ -44,49 +101,111 @@ var Game = function (canvasDisplayObject) {
   window.addEventListener('resize', this._onResize.bind(this));
 };
 
+Object.defineProperties(Game, {
+  // PIXI's ticker measures dt in frames at this frame rate
+  BASE_FRAME_RATE: {
+    value: 60
+  },
+  
+  DEFAULT_STEP_RATE: {
+    value: 60
+  },
+  
+  // The most amount of fixed steps that can be taken in a single tick
+  DEFAULT_MAX_STEPS_PER_TICK: {
+    value: 5
+  }
+});
+
 Game.prototype = Object.freeze(Object.create(Game.prototype, {
   /**
    * Updates the game
    */
   update: {
     value: function (dt) {
-      var debugOptions = debug.getOptions(this._id);
+      var debugOptions = this.headless ? null : debug.getOptions(this._id);
       
       if (debugOptions) {
         debug.setCurrentId(this._id);
         debug.clear(this._id);
       }
 
-      if (this._scene) {
-        // Increment the time step at a controlled rate if too much time has
-        // passed between the previous frame and this frame
-        if (dt > 1) {
-          this._excessDt += dt - 1;
-          dt = 1;
-        } else if (this._excessDt > 0) {
-          var newDt = Math.min(this._excessDt + dt, 1);
-          this._excessDt -= newDt - dt;
-          dt = newDt;
+      if (this.fixedStep) {
+        var stepDt = Game.BASE_FRAME_RATE / this.stepRate;
+        var steps  = 0;
+        
+        // Put game objects back to where the simulation left them before
+        // simulating any further
+        this._restoreInterpolation();
+        
+        // Update the scene as many times as the elapsed time allows, but
+        // never more than maxStepsPerTick to avoid a spiral of death
+        this._stepAccumulator += dt;
+        while (this._stepAccumulator >= stepDt &&
+               steps < this.maxStepsPerTick) {
+          this._stepAccumulator -= stepDt;
+          this._step(stepDt);
+          steps++;
         }
         
-        if (this._scene) {
-          // Switch to the next scene if there's one to switch to
-          if (this._scene.nextScene) {
-            this.setScene(this._scene.nextScene);
-          }
+        // Drop the time that couldn't be caught up on
+        if (this._stepAccumulator >= stepDt) {
+          this._stepAccumulator %= stepDt;
         }
-        this._scene.update(dt);
         
-        this._scene._beforeDraw(this.renderer);
-        this._scene.draw(this.renderer);
-        this._scene._afterDraw(this.renderer);
+        this.interpolationAlpha = this._stepAccumulator / stepDt;
         
-        if (debugOptions) {
-          this._scene.drawDebug(this.renderer, debugOptions);
+        this._interpolatedScenes = this._getUpdatingScenes();
+        for (let scene of this._interpolatedScenes) {
+          scene._interpolate(this.interpolationAlpha);
         }
+      } else {
+        if (this._sceneStack.length > 0) {
+          // Increment the time step at a controlled rate if too much time has
+          // passed between the previous frame and this frame
+          if (dt > 1) {
+            this._excessDt += dt - 1;
+            dt = 1;
+          } else if (this._excessDt > 0) {
+            var newDt = Math.min(this._excessDt + dt, 1);
+            this._excessDt -= newDt - dt;
+            dt = newDt;
+          }
+        }
+        
+        this._step(dt);
       }
 
-      this.keyboard.update();
+      if (!this.headless) {
+        this._draw(debugOptions);
+      }
+    }
+  },
+  
+  /**
+   * Sets whether or not the scene is updated at a fixed rate. The rate is the
+   * amount of updates per second
+   */
+  setFixedStep: {
+    value: function (enabled, stepRate = this.stepRate) {
+      this.fixedStep          = enabled;
+      this.stepRate           = stepRate;
+      this._stepAccumulator   = 0;
+      this.interpolationAlpha = 1;
+      
+      if (!enabled) {
+        this._restoreInterpolation();
+      }
+    }
+  },
+
+  /**
+   * Manually updates the game by the given time step. This is how a headless
+   * game is run, since it has no ticker
+   */
+  step: {
+    value: function (dt = 1) {
+      this.update(dt);
     }
   },
 
@@ -95,7 +214,9 @@ Game.prototype = Object.freeze(Object.create(Game.prototype, {
    */
   stop: {
     value: function () {
-      this.pixiApp.stop();
+      if (this.pixiApp) {
+        this.pixiApp.stop();
+      }
     }
   },
 
@@ -104,35 +225,80 @@ Game.prototype = Object.freeze(Object.create(Game.prototype, {
    */
   start: {
     value: function () {
-      this.pixiApp.start();
+      if (this.pixiApp) {
+        this.pixiApp.start();
+      }
     }
   },
 
   /**
-   * Gets the scene to be rendered in the game
+   * Gets the topmost scene in the game
    */
   getScene: {
     value: function () {
-      return this._scene;
+      return this._sceneStack[this._sceneStack.length - 1];
+    }
+  },
+  
+  /**
+   * Gets all scenes in the game, from bottom to top
+   */
+  getScenes: {
+    value: function () {
+      return this._sceneStack.concat();
     }
   },
 
   /**
-   * Sets the scene to be rendered in the game
+   * Removes all scenes from the game, then sets the given scene as the only
+   * scene in the game
    */
   setScene: {
     value: function (scene) {
-      if (this._scene) {
-        this.stage.removeChild(this._scene._stage);
-        this._scene.nextScene = undefined;
-        this._scene.destroy();
+      this._cancelTransition();
+      
+      while (this._sceneStack.length > 0) {
+        var oldScene = this._sceneStack[this._sceneStack.length - 1];
+        oldScene.onExit();
+        this._detachScene(oldScene);
+        oldScene.destroy();
       }
 
-      scene.keyboard = this.keyboard;
-      scene.mouse    = this.mouse;
-      scene.renderer = this.renderer;
-      this._scene    = scene;
-      this.stage.addChild(scene._stage);
+      this._attachScene(scene, 0);
+      scene.onEnter();
+    }
+  },
+  
+  /**
+   * Adds a scene on top of the other scenes in the game (such as a pause menu
+   * over a gameplay scene)
+   */
+  pushScene: {
+    value: function (scene) {
+      var topScene = this.getScene();
+      
+      this._attachScene(scene, this._sceneStack.length);
+      
+      if (topScene) {
+        topScene.onPause();
+      }
+      
+      scene.onEnter();
+    }
+  },
+  
+  /**
+   * Removes and destroys the topmost scene in the game, then returns it
+   */
+  popScene: {
+    value: function () {
+      var scene = this.getScene();
+      
+      if (scene) {
+        this._removeScene(scene);
+      }
+      
+      return scene;
     }
   },
   
@@ -151,10 +317,377 @@ Game.prototype = Object.freeze(Object.create(Game.prototype, {
     }
   },
   
+  /**
+   * Moves game objects in the scenes that were interpolated back to their
+   * simulated positions
+   */
+  _restoreInterpolation: {
+    value: function () {
+      for (let scene of this._interpolatedScenes) {
+        scene._restoreInterpolation();
+      }
+      
+      this._interpolatedScenes = [];
+    }
+  },
+  
+  /**
+   * Updates the scenes once by the given time step, then updates input
+   */
+  _step: {
+    value: function (dt) {
+      this._handleSceneRequests();
+      this._updateSceneInput();
+      
+      for (let scene of this._getUpdatingScenes()) {
+        scene.update(dt);
+      }
+      
+      if (this._transition) {
+        this._transition.transition.update(dt);
+        
+        if (this._transition.transition.isComplete()) {
+          this._finishTransition();
+        }
+      }
+
+      this.actions.update();
+      this.keyboard.update();
+    }
+  },
+  
+  /**
+   * Draws the scenes that are visible, from bottom to top
+   */
+  _draw: {
+    value: function (debugOptions) {
+      var drawingScenes = this._getDrawingScenes();
+      var topScene      = this.getScene();
+      
+      for (let scene of this._sceneStack) {
+        scene._stage.visible = drawingScenes.indexOf(scene) >= 0;
+      }
+      
+      for (let scene of drawingScenes) {
+        scene._stage.visible = true;
+        scene._beforeDraw(this.renderer);
+        scene.draw(this.renderer);
+        scene._afterDraw(this.renderer);
+      }
+      
+      if (this._transition) {
+        let {transition, from, to} = this._transition;
+        transition.apply(
+          from._stage,
+          to._stage,
+          transition.getProgress(),
+          this.renderer
+        );
+      }
+      
+      if (topScene && debugOptions) {
+        topScene.drawDebug(this.renderer, debugOptions);
+      }
+    }
+  },
+  
+  /**
+   * Changes, pops, and pushes scenes that have asked for it since the
+   * previous step
+   */
+  _handleSceneRequests: {
+    value: function () {
+      for (let scene of this._sceneStack.concat()) {
+        var pushedScene = scene.pushedScene;
+        scene.pushedScene = undefined;
+        
+        // Switch to the next scene if there's one to switch to. Scenes can't
+        // change while a transition is running
+        if (scene.nextScene && !this._transition) {
+          var nextScene = scene.nextScene;
+          var options   = scene.nextSceneOptions;
+          scene.nextScene        = undefined;
+          scene.nextSceneOptions = {};
+          
+          if (options.transition) {
+            this._startTransition(scene, nextScene, options);
+          } else {
+            this._replaceScene(scene, nextScene);
+          }
+        } else if (scene.popRequested) {
+          this._removeScene(scene);
+        }
+        
+        if (pushedScene) {
+          this.pushScene(pushedScene);
+        }
+      }
+    }
+  },
+  
+  /**
+   * Begins to transition from a scene in the stack to a new scene. The new
+   * scene enters the game right away, but only takes the old scene's place in
+   * the stack once the transition is complete
+   */
+  _startTransition: {
+    value: function (fromScene, toScene, options) {
+      toScene.renderer = this.renderer;
+      
+      this._transition = {
+        transition: display.transitions.create(options.transition, options),
+        from:       fromScene,
+        to:         toScene
+      };
+      
+      this._arrangeStages();
+      toScene.onEnter();
+    }
+  },
+  
+  /**
+   * Replaces the old scene with the new scene once a transition is complete
+   */
+  _finishTransition: {
+    value: function () {
+      let {transition, from, to} = this._transition;
+      var index = this._sceneStack.indexOf(from);
+      
+      transition.reset(from._stage, to._stage);
+      this._transition = undefined;
+      this.stage.removeChild(to._stage);
+      
+      // If the old scene already left the stack, the new one goes on top
+      if (index >= 0) {
+        from.onExit();
+        this._detachScene(from);
+        from.destroy();
+      } else {
+        index = this._sceneStack.length;
+      }
+      
+      this._attachScene(to, index);
+    }
+  },
+  
+  /**
+   * Stops the current transition (if any), removing the scene that was being
+   * transitioned to
+   */
+  _cancelTransition: {
+    value: function () {
+      if (this._transition) {
+        let {transition, from, to} = this._transition;
+        
+        transition.reset(from._stage, to._stage);
+        this._transition = undefined;
+        this.stage.removeChild(to._stage);
+        
+        to.onExit();
+        to.destroy();
+      }
+    }
+  },
+  
+  /**
+   * Swaps a scene in the stack with another, destroying the old scene
+   */
+  _replaceScene: {
+    value: function (oldScene, newScene) {
+      var index = this._sceneStack.indexOf(oldScene);
+      
+      oldScene.onExit();
+      this._detachScene(oldScene);
+      oldScene.destroy();
+      this._attachScene(newScene, index);
+      newScene.onEnter();
+    }
+  },
+  
+  /**
+   * Exits, detaches and destroys a scene, then resumes the scene below it if
+   * it was the topmost scene
+   */
+  _removeScene: {
+    value: function (scene) {
+      var topScene = this.getScene();
+      
+      if (this._transition && this._transition.from === scene) {
+        this._cancelTransition();
+      }
+      
+      scene.onExit();
+      this._detachScene(scene);
+      scene.destroy();
+      
+      // The scene below becomes the topmost scene
+      if (scene === topScene && this.getScene()) {
+        this.getScene().onResume();
+      }
+    }
+  },
+  
+  /**
+   * Adds a scene to the stack at the given index
+   */
+  _attachScene: {
+    value: function (scene, index) {
+      scene.renderer = this.renderer;
+      
+      this._sceneStack.splice(index, 0, scene);
+      this._arrangeStages();
+      this._updateSceneInput();
+    }
+  },
+  
+  /**
+   * Orders the scenes' stages to match the stack, from bottom to top. The
+   * scene being transitioned to is drawn right above the scene it's replacing
+   */
+  _arrangeStages: {
+    value: function () {
+      var stages = [];
+      
+      for (let scene of this._sceneStack) {
+        stages.push(scene._stage);
+        
+        if (this._transition && this._transition.from === scene) {
+          stages.push(this._transition.to._stage);
+        }
+      }
+      
+      for (var i = 0; i < stages.length; i++) {
+        if (stages[i].parent === this.stage) {
+          this.stage.setChildIndex(stages[i], i);
+        } else {
+          this.stage.addChildAt(stages[i], i);
+        }
+      }
+    }
+  },
+  
+  /**
+   * Takes a scene out of the stack and clears its pending scene requests. The
+   * scene isn't destroyed, so it's up to the caller to destroy it
+   */
+  _detachScene: {
+    value: function (scene) {
+      var index = this._sceneStack.indexOf(scene);
+      
+      if (index < 0) {
+        return;
+      }
+      
+      this._sceneStack.splice(index, 1);
+      this.stage.removeChild(scene._stage);
+      scene.nextScene        = undefined;
+      scene.nextSceneOptions = {};
+      scene.pushedScene      = undefined;
+      scene.popRequested     = false;
+      this._updateSceneInput();
+    }
+  },
+  
+  /**
+   * Returns the scenes that will be updated, from bottom to top. Scenes below
+   * the topmost one are only updated if every scene above them lets scenes
+   * below them update
+   */
+  _getUpdatingScenes: {
+    value: function () {
+      var scenes = [];
+      
+      for (var i = this._sceneStack.length - 1; i >= 0; i--) {
+        var scene = this._sceneStack[i];
+        scenes.unshift(scene);
+        
+        if (!scene.updateBelow) {
+          break;
+        }
+      }
+      
+      // The scene being transitioned to needs to update to be drawn
+      if (this._transition) {
+        scenes.push(this._transition.to);
+      }
+      
+      return scenes;
+    }
+  },
+  
+  /**
+   * Returns the scenes that will be drawn, from bottom to top. Scenes below
+   * the topmost one are only drawn if every scene above them lets scenes
+   * below them draw
+   */
+  _getDrawingScenes: {
+    value: function () {
+      var scenes = [];
+      
+      for (var i = this._sceneStack.length - 1; i >= 0; i--) {
+        var scene = this._sceneStack[i];
+        scenes.unshift(scene);
+        
+        if (!scene.drawBelow) {
+          break;
+        }
+      }
+      
+      if (this._transition) {
+        if (scenes.indexOf(this._transition.from) < 0) {
+          scenes.unshift(this._transition.from);
+        }
+        
+        scenes.push(this._transition.to);
+      }
+      
+      return scenes;
+    }
+  },
+  
+  /**
+   * Gives the input devices to the topmost scene that accepts input. All other
+   * scenes are given input devices that are never pressed. No scene receives
+   * input during a transition
+   */
+  _updateSceneInput: {
+    value: function () {
+      var inputScene = null;
+      
+      for (var i = this._sceneStack.length - 1; i >= 0; i--) {
+        if (this._transition) {
+          break;
+        }
+        
+        if (this._sceneStack[i].acceptsInput) {
+          inputScene = this._sceneStack[i];
+          break;
+        }
+      }
+      
+      var scenes = this._sceneStack;
+      if (this._transition) {
+        scenes = scenes.concat(this._transition.to);
+      }
+      
+      for (let scene of scenes) {
+        if (scene === inputScene) {
+          scene.keyboard = this.keyboard;
+          scene.mouse    = this.mouse;
+          scene.actions  = this.actions;
+        } else {
+          scene.keyboard = this._inertKeyboard;
+          scene.mouse    = this._inertMouse;
+          scene.actions  = this._inertActions;
+        }
+      }
+    }
+  },
+  
   _onResize: {
     value: function (e) {
-      if (this._scene) {
-        this._scene._onResize(e);
+      for (let scene of this._sceneStack) {
+        scene._onResize(e);
       }
     }
   }
@@ -1,6 +1,6 @@
 "use strict";
 
-const PIXI            = require('pixi.js');
+const PIXI            = require('../../pixi');
 const geom            = require('../../geom');
 const animation       = require('./animation');
 const GameObjectState = animation.GameObjectState;
@@ -24,9 +24,13 @@ var GameObject = function () {
   
   this.wflId              = idCounter++;
   this.vertices           = [];
+  this.convexParts        = []; // Only used if the vertices are concave
+  this.shape              = undefined; // Overrides the current frame's shape
   this.states             = {};
   this.currentState       = undefined;
+  this.animator           = undefined; // Picks the state each update if set
   this.layer              = undefined;
+  this.scene              = undefined;
   this.customData         = {};
   this.calculationCache   = {};
   this.forward            = new geom.Vec2(1, 0);
@@ -35,13 +39,44 @@ var GameObject = function () {
   // will not rotate with the forward
   this.allowVertexRotation = true;
   
+  // Whether or not the frames (and their collision vertices) are mirrored.
+  // Set through flipX and flipY
+  this._flipX = false;
+  this._flipY = false;
+  
+  // Mirrored copies of the frames' collision vertices and shapes, made as the
+  // frames are shown while this game object is flipped. Frames can be shared
+  // by game objects that are flipped differently, so they're never mirrored
+  // themselves
+  this._mirroredFrames = new Map();
+  
+  // If false, this game object's displayed position will not be interpolated
+  // between fixed steps (useful when teleporting)
+  this.interpolate = true;
+  
+  // True once this game object has been queued to be destroyed. It will be
+  // removed from its scene at the next safe point in the frame
+  this.pendingDestroy = false;
+  
   // A reference to the previously added sprite so that it can be removed when
   // a new sprite is set with _setSprite()
   this._prevSprite        = undefined;
   
+  // The collision shape of the current frame, if it has one
+  this._frameShape        = undefined;
+  
+  // The current frame's collision vertices (mirrored if this game object is
+  // flipped), as last given to "vertices"
+  this._frameVertices     = undefined;
+  
   this._bucketPosition = {x: 0, y: 0};
   this._cachedWidth    = 0;
   this._cachedHeight   = 0;
+  
+  // Position at the start of the latest fixed step, and the simulated
+  // position while the displayed position is interpolated
+  this._stepPosition      = {x: 0, y: 0};
+  this._simulatedPosition = {x: 0, y: 0};
 };
 
 Object.defineProperties(GameObject, {
@@ -58,8 +93,8 @@ Object.defineProperties(GameObject, {
   },
   
   createFrame: {
-    value: function (texture, duration, vertices) {
-      return new FrameObject(texture, duration, vertices);
+    value: function (texture, duration, vertices, shape) {
+      return new FrameObject(texture, duration, vertices, shape);
     }
   }
 });
@@ -69,6 +104,10 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
     value: function (dt) {
       // The contents of this function should be copypasted into
       // PhysicsObject's cacheCalculations (for optimization)
+      if (this.animator !== undefined) {
+        this.animator.update(this);
+      }
+      
       if (this.currentState !== undefined) {
         this.currentState.update(dt);
         this._setSprite(this.currentState.sprite);
@@ -78,30 +117,254 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
     }
   },
   
+  /**
+   * Called when this game object is added to a scene
+   */
+  onAdded: {
+    value: function (scene) {}
+  },
+  
+  /**
+   * Called when this game object is removed from a scene
+   */
+  onRemoved: {
+    value: function (scene) {}
+  },
+  
+  /**
+   * Queues this game object to be removed from its scene and destroyed (see
+   * Scene's destroyObject()). If it isn't in a scene, it's destroyed right
+   * away. The scene calls this again once it has removed the game object, so
+   * overrides can tell the two apart by whether or not this.scene is set
+   */
+  destroy: {
+    value: function (options) {
+      if (this.scene) {
+        this.scene.destroyObject(this);
+      } else {
+        PIXI.Container.prototype.destroy.call(this, options);
+      }
+    }
+  },
+  
+  /**
+   * Returns whether or not the point is inside this game object's AABB. If
+   * refObj is given, the point is relative to it
+   */
+  containsPoint: {
+    value: function (point, refObj = null) {
+      var {x, y, aabbHalfWidth, aabbHalfHeight} = this.calculationCache;
+      var px = point._x;
+      var py = point._y;
+      
+      if (refObj) {
+        px += refObj.calculationCache.x;
+        py += refObj.calculationCache.y;
+      }
+      
+      return Math.abs(px - x) <= aabbHalfWidth &&
+             Math.abs(py - y) <= aabbHalfHeight;
+    }
+  },
+  
+  /**
+   * Returns whether or not this game object's AABB overlaps a convex polygon
+   * given in world coordinates
+   */
+  overlapsPolygon: {
+    value: function (points) {
+      var {x, y, aabbHalfWidth, aabbHalfHeight} = this.calculationCache;
+      
+      return geom.polygon.overlaps([
+        new geom.Vec2(x - aabbHalfWidth, y - aabbHalfHeight),
+        new geom.Vec2(x + aabbHalfWidth, y - aabbHalfHeight),
+        new geom.Vec2(x + aabbHalfWidth, y + aabbHalfHeight),
+        new geom.Vec2(x - aabbHalfWidth, y + aabbHalfHeight)
+      ], points);
+    }
+  },
+  
+  /**
+   * Returns whether or not this game object's AABB overlaps a circle
+   */
+  overlapsCircle: {
+    value: function (center, radius) {
+      var {x, y, aabbHalfWidth, aabbHalfHeight} = this.calculationCache;
+      var closestX = Math.max(x - aabbHalfWidth,  Math.min(center._x, x + aabbHalfWidth));
+      var closestY = Math.max(y - aabbHalfHeight, Math.min(center._y, y + aabbHalfHeight));
+      var dx       = center._x - closestX;
+      var dy       = center._y - closestY;
+      
+      return dx * dx + dy * dy <= radius * radius;
+    }
+  },
+  
+  /**
+   * Casts a ray against this game object's collision shape (or polygon).
+   * The direction must be normalized. Returns the hit's distance, point and
+   * normal, or null if the ray misses within maxDistance
+   */
+  raycast: {
+    value: function (origin, direction, maxDistance = Infinity) {
+      return this._cast(origin, direction, maxDistance);
+    }
+  },
+  
+  /**
+   * Casts a ray, or sweeps a circle (with castRadius) or a box (with
+   * castHalfWidth and castHalfHeight), against this game object
+   */
+  _cast: {
+    value: function (origin, direction, maxDistance, castRadius = 0, castHalfWidth = 0, castHalfHeight = 0) {
+      var cache    = this.calculationCache;
+      var shape    = this.getShape();
+      var radius   = castRadius;
+      var polygons = [];
+      var toWorld  = (v) => new geom.Vec2(v._x + cache.x, v._y + cache.y);
+      
+      if (shape) {
+        var segment = shape.getSegment(cache.x, cache.y);
+        
+        polygons.push([
+          new geom.Vec2(segment.x0, segment.y0),
+          new geom.Vec2(segment.x1, segment.y1)
+        ]);
+        radius += shape.radius;
+      } else if (this.convexParts.length > 0 && (castHalfWidth || castHalfHeight)) {
+        // Boxes are swept against convex parts since their sum with a
+        // polygon is found with a convex hull
+        for (let part of this.convexParts) {
+          polygons.push(part.map(toWorld));
+        }
+      } else if (this.vertices.length > 0) {
+        polygons.push(this.vertices.map(toWorld));
+      } else {
+        polygons.push([
+          new geom.Vec2(cache.x - cache.aabbHalfWidth, cache.y - cache.aabbHalfHeight),
+          new geom.Vec2(cache.x + cache.aabbHalfWidth, cache.y - cache.aabbHalfHeight),
+          new geom.Vec2(cache.x + cache.aabbHalfWidth, cache.y + cache.aabbHalfHeight),
+          new geom.Vec2(cache.x - cache.aabbHalfWidth, cache.y + cache.aabbHalfHeight)
+        ]);
+      }
+      
+      var best = null;
+      
+      for (let points of polygons) {
+        // Sweeping a box is the same as casting a ray against the polygon
+        // grown by the box
+        if (castHalfWidth || castHalfHeight) {
+          var grown = [];
+          
+          for (let p of points) {
+            grown.push(
+              new geom.Vec2(p._x - castHalfWidth, p._y - castHalfHeight),
+              new geom.Vec2(p._x + castHalfWidth, p._y - castHalfHeight),
+              new geom.Vec2(p._x + castHalfWidth, p._y + castHalfHeight),
+              new geom.Vec2(p._x - castHalfWidth, p._y + castHalfHeight)
+            );
+          }
+          
+          points = geom.polygon.convexHull(grown);
+        }
+        
+        var hit = geom.ray.castPolygon(
+          origin,
+          direction,
+          maxDistance,
+          points,
+          radius
+        );
+        
+        if (hit && (!best || hit.distance < best.distance)) {
+          best = hit;
+        }
+      }
+      
+      if (best) {
+        best.point = new geom.Vec2(
+          origin._x + direction._x * best.distance,
+          origin._y + direction._y * best.distance
+        );
+      }
+      
+      return best;
+    }
+  },
+  
   drawDebugQuadtree: {
     value: function (container = debug.getContainer()) {}
   },
   
+  /**
+   * Gets the circle or capsule used for collisions, if there is one. The
+   * game object's own shape takes priority over its current frame's shape
+   */
+  getShape: {
+    value: function () {
+      return this.shape || this._frameShape;
+    }
+  },
+  
   drawDebugVertices: {
     value: function (container = debug.getContainer()) {
-      if (this.vertices.length > 0) {
+      var shape = this.getShape();
+      
+      if (shape) {
+        var segment = shape.getSegment(
+          this.calculationCache.x,
+          this.calculationCache.y
+        );
+        var angle = Math.atan2(
+          segment.y1 - segment.y0,
+          segment.x1 - segment.x0
+        );
+        
+        // A circle is drawn as a capsule with no length
         container.lineStyle(2, 0xBBBBFF, 1);
         container.moveTo(
-          this.vertices[0].x + this.calculationCache.x,
-          this.vertices[0].y + this.calculationCache.y
+          segment.x1 + Math.cos(angle - Math.PI * 0.5) * shape.radius,
+          segment.y1 + Math.sin(angle - Math.PI * 0.5) * shape.radius
         );
+        container.arc(
+          segment.x1, segment.y1, shape.radius,
+          angle - Math.PI * 0.5, angle + Math.PI * 0.5
+        );
+        container.arc(
+          segment.x0, segment.y0, shape.radius,
+          angle + Math.PI * 0.5, angle + Math.PI * 1.5
+        );
+        container.closePath();
+      } else {
+        // Draw the convex parts dimmer so the outline stands out
+        for (let part of this.convexParts) {
+          this._drawDebugPolygon(container, part, 0x6666AA);
+        }
         
-        for (var i = 1; i < this.vertices.length; i++) {
+        this._drawDebugPolygon(container, this.vertices, 0xBBBBFF);
+      }
+    }
+  },
+  
+  _drawDebugPolygon: {
+    value: function (container, vertices, color) {
+      if (vertices.length > 0) {
+        container.lineStyle(2, color, 1);
+        container.moveTo(
+          vertices[0].x + this.calculationCache.x,
+          vertices[0].y + this.calculationCache.y
+        );
+        
+        for (var i = 1; i < vertices.length; i++) {
           container.lineTo(
-            this.vertices[i].x + this.calculationCache.x,
-            this.vertices[i].y + this.calculationCache.y
+            vertices[i].x + this.calculationCache.x,
+            vertices[i].y + this.calculationCache.y
           );
         }
         
-        if (this.vertices.length > 2) {
+        if (vertices.length > 2) {
           container.lineTo(
-            this.vertices[0].x + this.calculationCache.x,
-            this.vertices[0].y + this.calculationCache.y
+            vertices[0].x + this.calculationCache.x,
+            vertices[0].y + this.calculationCache.y
           );
         }
       }
@@ -126,6 +389,9 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
       this.transform.rotation = this.forward.getAngle();
 
       if (this.allowVertexRotation) {
+        // Frames may share shapes, so keep track of which have been rotated
+        var rotatedShapes = [];
+        
         for (var stateName in this.states) {
           var state = this.states[stateName];
 
@@ -135,6 +401,39 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
             for (var j = 0; j < frameObject.vertices.length; j++) {
               frameObject.vertices[j].rotate(theta);
             }
+            
+            for (let part of frameObject.convexParts) {
+              for (let vertex of part) {
+                vertex.rotate(theta);
+              }
+            }
+            
+            if (frameObject.shape &&
+                rotatedShapes.indexOf(frameObject.shape) < 0) {
+              frameObject.shape.rotate(theta);
+              rotatedShapes.push(frameObject.shape);
+            }
+          }
+        }
+        
+        if (this.shape && rotatedShapes.indexOf(this.shape) < 0) {
+          this.shape.rotate(theta);
+        }
+        
+        // The mirrored copies only belong to this game object
+        for (let mirrored of this._mirroredFrames.values()) {
+          for (let vertex of mirrored.vertices) {
+            vertex.rotate(theta);
+          }
+          
+          for (let part of mirrored.convexParts) {
+            for (let vertex of part) {
+              vertex.rotate(theta);
+            }
+          }
+          
+          if (mirrored.shape) {
+            mirrored.shape.rotate(theta);
           }
         }
       }
@@ -142,6 +441,59 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
       return this;
     }
   },
+  
+  /**
+   * Whether or not this game object is mirrored horizontally (such as to
+   * face left in a side-scroller)
+   */
+  flipX: {
+    get: function () { return this._flipX; },
+    set: function (value) {
+      if (Boolean(value) !== this._flipX) {
+        this.mirror(true, false);
+      }
+    }
+  },
+  
+  /**
+   * Whether or not this game object is mirrored vertically
+   */
+  flipY: {
+    get: function () { return this._flipY; },
+    set: function (value) {
+      if (Boolean(value) !== this._flipY) {
+        this.mirror(false, true);
+      }
+    }
+  },
+  
+  /**
+   * Mirrors the shown frames (and their collision vertices and shapes)
+   * horizontally and/or vertically. Horizontal is along the forward when
+   * vertices rotate with it
+   */
+  mirror: {
+    value: function (horizontal, vertical) {
+      var axis = this._getMirrorAxis();
+      
+      if (horizontal) this._flipX = !this._flipX;
+      if (vertical)   this._flipY = !this._flipY;
+      
+      // Copies are made again for the new flip as frames are shown
+      this._mirroredFrames.clear();
+      
+      if (this.shape) {
+        if (horizontal) this.shape.reflect(axis.x, axis.y);
+        if (vertical)   this.shape.reflect(-axis.y, axis.x);
+      }
+      
+      if (this.currentState) {
+        this._setSprite(this.currentState.sprite);
+      }
+      
+      return this;
+    }
+  },
 
   getState: {
     value: function (stateName) {
@@ -155,7 +507,7 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
 
       if (this.currentState !== newState) {
         this.currentState = newState;
-        this.currentState.setCurrentFrame(0);
+        this.currentState.restart();
         
         // Call GameObject's prototype to update and set the new sprite
         GameObject.prototype.update.call(this, 0);
@@ -211,11 +563,144 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
         this.calculationCache.aabbWidth * 0.5;
       this.calculationCache.aabbHalfHeight =
         this.calculationCache.aabbHeight * 0.5;
+      
+      // Grow the AABB to fit the collision shape, if there is one
+      var shape = this.shape || this._frameShape;
+      if (shape) {
+        var bounds = shape.getBounds();
+        
+        this.calculationCache.aabbHalfWidth = Math.max(
+          this.calculationCache.aabbHalfWidth, -bounds.minX, bounds.maxX
+        );
+        this.calculationCache.aabbHalfHeight = Math.max(
+          this.calculationCache.aabbHalfHeight, -bounds.minY, bounds.maxY
+        );
+        this.calculationCache.aabbWidth  =
+          this.calculationCache.aabbHalfWidth * 2;
+        this.calculationCache.aabbHeight =
+          this.calculationCache.aabbHalfHeight * 2;
+      }
+    }
+  },
+  
+  /**
+   * Remembers the current position as the start of a fixed step
+   */
+  _storeStepPosition: {
+    value: function () {
+      this._stepPosition.x = this.transform.position._x;
+      this._stepPosition.y = this.transform.position._y;
+    }
+  },
+  
+  /**
+   * Moves the displayed position between the start of the latest fixed step
+   * and the simulated position
+   */
+  _applyInterpolation: {
+    value: function (alpha) {
+      var position = this.transform.position;
+      
+      this._simulatedPosition.x = position._x;
+      this._simulatedPosition.y = position._y;
+      
+      position._x = this._stepPosition.x + (position._x - this._stepPosition.x) * alpha;
+      position._y = this._stepPosition.y + (position._y - this._stepPosition.y) * alpha;
+    }
+  },
+  
+  /**
+   * Moves the displayed position back to the simulated position
+   */
+  _restoreInterpolation: {
+    value: function () {
+      this.transform.position._x = this._simulatedPosition.x;
+      this.transform.position._y = this._simulatedPosition.y;
+    }
+  },
+  
+  /**
+   * Gets the direction that counts as horizontal when mirroring the collision
+   * vertices, which turns with the forward if the vertices do
+   */
+  _getMirrorAxis: {
+    value: function () {
+      var forwardMag = this.forward.getMagnitude();
+      
+      if (!this.allowVertexRotation || forwardMag === 0) {
+        return {x: 1, y: 0};
+      }
+      
+      return {
+        x: this.forward._x / forwardMag,
+        y: this.forward._y / forwardMag
+      };
+    }
+  },
+  
+  /**
+   * Gets the collision vertices, convex parts and shape of a frame, as
+   * flipped the same way as this game object. Unless it isn't flipped, these
+   * are this game object's own mirrored copies
+   */
+  _getFrameCollision: {
+    value: function (frameObject) {
+      if (!this._flipX && !this._flipY) {
+        return frameObject;
+      }
+      
+      var mirrored = this._mirroredFrames.get(frameObject);
+      
+      // The frame's vertices or shape may have been replaced since the copy
+      // was made
+      if (!mirrored ||
+          mirrored.frameVertices !== frameObject.vertices ||
+          mirrored.frameShape    !== frameObject.shape) {
+        var axis = this._getMirrorAxis();
+        
+        mirrored = frameObject.createMirroredCollision(
+          this._flipX, this._flipY, axis.x, axis.y
+        );
+        mirrored.frameVertices = frameObject.vertices;
+        mirrored.frameShape    = frameObject.shape;
+        
+        this._mirroredFrames.set(frameObject, mirrored);
+      }
+      
+      return mirrored;
+    }
+  },
+  
+  /**
+   * Shows the sprite flipped the same way as this game object. Frames can be
+   * shared, so this is done whenever one is shown
+   */
+  _flipSprite: {
+    value: function (sprite) {
+      sprite.scale.x = Math.abs(sprite.scale.x) * (this._flipX ? -1 : 1);
+      sprite.scale.y = Math.abs(sprite.scale.y) * (this._flipY ? -1 : 1);
     }
   },
   
   _setSprite: {
     value: function (sprite) {
+      var collision = sprite ? this._getFrameCollision(sprite) : this.currentState;
+      
+      if (sprite) {
+        this._flipSprite(sprite);
+      }
+      
+      // The frame's shape can be set after the frame is added, so always
+      // keep it up to date
+      this._frameShape = collision.shape;
+      
+      // Flipping swaps the vertices for mirrored ones
+      if (this._frameVertices !== collision.vertices) {
+        this._frameVertices = collision.vertices;
+        this.vertices       = collision.vertices;
+        this.convexParts    = collision.convexParts;
+      }
+      
       // Don't do anything if this sprite is already added
       if (this._prevSprite === sprite) {
         return;
@@ -225,8 +710,6 @@ GameObject.prototype = Object.freeze(Object.create(PIXI.Container.prototype, {
       if (this._prevSprite) {
         this.removeChild(this._prevSprite);
       }
-      
-      this.vertices = this.currentState.vertices;
 
       if (sprite) {
         this.addChild(sprite);
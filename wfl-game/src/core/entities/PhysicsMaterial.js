@@ -0,0 +1,153 @@
+"use strict";
+
+// Named materials that objects and frames can refer to by name
+var materials = {};
+
+/**
+ * Describes how a surface behaves in collisions. Materials can be shared
+ * between any number of physics objects and frames
+ */
+var PhysicsMaterial = function (
+  friction           = 0,
+  restitution        = 0,
+  frictionCombine    = PhysicsMaterial.Combine.AVERAGE,
+  restitutionCombine = PhysicsMaterial.Combine.MULTIPLY
+) {
+  this.friction           = friction;    // From 0 (slippery) to 1 (grippy)
+  this.restitution        = restitution; // From 0 (no bounce) to 1 (bouncy)
+  this.frictionCombine    = frictionCombine;
+  this.restitutionCombine = restitutionCombine;
+};
+
+Object.defineProperties(PhysicsMaterial, {
+  // How two materials' values are combined when they touch. If the two
+  // materials use different modes, the one listed last here wins
+  Combine: {
+    value: Object.freeze({
+      AVERAGE:  "average",
+      MIN:      "min",
+      MULTIPLY: "multiply",
+      MAX:      "max"
+    })
+  },
+
+  /**
+   * Combines two materials' values for a contact between them
+   */
+  combine: {
+    value: function (valueA, valueB, modeA, modeB) {
+      var Combine = PhysicsMaterial.Combine;
+      var order   = [Combine.AVERAGE, Combine.MIN, Combine.MULTIPLY, Combine.MAX];
+      var mode    = order.indexOf(modeA) >= order.indexOf(modeB) ? modeA : modeB;
+
+      switch (mode) {
+      case Combine.MIN:
+        return Math.min(valueA, valueB);
+      case Combine.MULTIPLY:
+        return valueA * valueB;
+      case Combine.MAX:
+        return Math.max(valueA, valueB);
+      default:
+        return (valueA + valueB) * 0.5;
+      }
+    }
+  },
+
+  /**
+   * Registers a material under a name (such as "ice") so that objects and
+   * frames can refer to it by that name
+   */
+  register: {
+    value: function (name, material) {
+      materials[name] = material;
+      return material;
+    }
+  },
+
+  /**
+   * Gets the material registered with the given name
+   */
+  get: {
+    value: function (name) {
+      if (typeof materials[name] === 'undefined') {
+        console.error("Unknown physics material: " + name);
+      }
+
+      return materials[name];
+    }
+  },
+
+  /**
+   * Gets the material for a material or a registered material's name
+   */
+  resolve: {
+    value: function (material) {
+      if (typeof material === 'string') {
+        return PhysicsMaterial.get(material);
+      }
+
+      return material;
+    }
+  }
+});
+
+PhysicsMaterial.prototype = Object.freeze(Object.create(PhysicsMaterial.prototype, {
+  clone: {
+    value: function () {
+      return new PhysicsMaterial(
+        this.friction,
+        this.restitution,
+        this.frictionCombine,
+        this.restitutionCombine
+      );
+    }
+  }
+}));
+
+Object.defineProperties(PhysicsMaterial, {
+  // Matches the friction and restitution physics objects have by default
+  DEFAULT: {
+    value: new PhysicsMaterial(0, 0)
+  },
+
+  // Slippery against anything it touches
+  ICE: {
+    value: new PhysicsMaterial(
+      0.02, 0.05,
+      PhysicsMaterial.Combine.MIN, PhysicsMaterial.Combine.MULTIPLY
+    )
+  },
+
+  // Bounces off of anything it touches
+  RUBBER: {
+    value: new PhysicsMaterial(
+      0.9, 0.8,
+      PhysicsMaterial.Combine.AVERAGE, PhysicsMaterial.Combine.MAX
+    )
+  },
+
+  METAL: {
+    value: new PhysicsMaterial(
+      0.3, 0.2,
+      PhysicsMaterial.Combine.AVERAGE, PhysicsMaterial.Combine.AVERAGE
+    )
+  },
+
+  // Grips and stops the bounce of anything it touches
+  MUD: {
+    value: new PhysicsMaterial(
+      1, 0,
+      PhysicsMaterial.Combine.MAX, PhysicsMaterial.Combine.MIN
+    )
+  }
+});
+
+PhysicsMaterial.register('default', PhysicsMaterial.DEFAULT);
+PhysicsMaterial.register('ice',     PhysicsMaterial.ICE);
+PhysicsMaterial.register('rubber',  PhysicsMaterial.RUBBER);
+PhysicsMaterial.register('metal',   PhysicsMaterial.METAL);
+PhysicsMaterial.register('mud',     PhysicsMaterial.MUD);
+
+Object.freeze(PhysicsMaterial);
+
+module.exports = PhysicsMaterial;
\ No newline at end of file
@@ -3,10 +3,188 @@
 var geom = require('../../geom');
 var debug = require('../../debug');
 var GameObject = require('./GameObject.js');
+var collisionGroups = require('./collisionGroups.js');
+var PhysicsMaterial = require('./PhysicsMaterial.js');
 
 // Use this trash vector to prevent creating new ones over and over
 var tempVector = new geom.Vec2();
 
+// Trash objects for the closest points found between segments
+var tempPoint0 = {x: 0, y: 0};
+var tempPoint1 = {x: 0, y: 0};
+
+/**
+ * Narrow phase between two round shapes, given as the segments at their
+ * cores and their radii. Returns null if they aren't colliding. Otherwise,
+ * the direction points from shape A to shape B
+ */
+var collideRoundRound = function (segA, radiusA, segB, radiusB) {
+  var p = tempPoint0;
+  var q = tempPoint1;
+  
+  geom.segment.closestPointsBetweenSegments(
+    segA.x0, segA.y0, segA.x1, segA.y1,
+    segB.x0, segB.y0, segB.x1, segB.y1,
+    p, q
+  );
+  
+  var dx    = q.x - p.x;
+  var dy    = q.y - p.y;
+  var dist  = Math.sqrt(dx * dx + dy * dy);
+  var radii = radiusA + radiusB;
+  
+  if (dist >= radii) {
+    return null;
+  }
+  
+  // If the cores overlap, fall back to the direction between their middles
+  if (dist === 0) {
+    dx   = (segB.x0 + segB.x1 - segA.x0 - segA.x1) * 0.5;
+    dy   = (segB.y0 + segB.y1 - segA.y0 - segA.y1) * 0.5;
+    dist = Math.sqrt(dx * dx + dy * dy);
+    
+    if (dist === 0) {
+      dx   = 0;
+      dy   = 1;
+      dist = 1;
+    }
+  }
+  
+  var direction = {x: dx / dist, y: dy / dist};
+  var depth     = radii - dist;
+  
+  return {
+    direction: direction,
+    depth:     depth,
+    x:         p.x + direction.x * (radiusA - depth * 0.5),
+    y:         p.y + direction.y * (radiusA - depth * 0.5)
+  };
+};
+
+/**
+ * Narrow phase (SAT) between a round shape, given as the segment at its core
+ * and its radius, and a convex polygon offset by (x, y) with its SAT axes.
+ * Returns null if they aren't colliding. Otherwise, the direction points from
+ * the round shape to the polygon
+ */
+var collideRoundPolygon = function (seg, radius, vertices, x, y, polygonAxes) {
+  if (vertices.length === 0) {
+    return null;
+  }
+  
+  var axes            = polygonAxes.concat();
+  var closestDistance = Infinity;
+  var closestVertex   = null;
+  var closestOnCore   = {x: 0, y: 0};
+  
+  // The polygon's vertex closest to the round shape's core gives one more
+  // axis to test, since round shapes have no edges of their own
+  for (let v of vertices) {
+    var vx      = v._x + x;
+    var vy      = v._y + y;
+    var closest = geom.segment.closestPointOnSegment(
+      vx, vy, seg.x0, seg.y0, seg.x1, seg.y1, tempPoint0
+    );
+    var dist    =
+        (vx - closest.x) * (vx - closest.x) +
+        (vy - closest.y) * (vy - closest.y);
+    
+    if (dist < closestDistance) {
+      closestDistance = dist;
+      closestVertex   = {x: vx, y: vy};
+      closestOnCore.x = closest.x;
+      closestOnCore.y = closest.y;
+    }
+  }
+  
+  if (closestDistance > 0) {
+    closestDistance = Math.sqrt(closestDistance);
+    axes.push({
+      x: (closestVertex.x - closestOnCore.x) / closestDistance,
+      y: (closestVertex.y - closestOnCore.y) / closestDistance
+    });
+  }
+  
+  // Capsules also have flat sides
+  var segDx     = seg.x1 - seg.x0;
+  var segDy     = seg.y1 - seg.y0;
+  var segLength = Math.sqrt(segDx * segDx + segDy * segDy);
+  if (segLength > 0) {
+    axes.push({x: -segDy / segLength, y: segDx / segLength});
+  }
+  
+  var smallestOverlap = Infinity;
+  var smallestAxis    = null;
+  
+  for (let axis of axes) {
+    var p0         = seg.x0 * axis.x + seg.y0 * axis.y;
+    var p1         = seg.x1 * axis.x + seg.y1 * axis.y;
+    var roundMin   = Math.min(p0, p1) - radius;
+    var roundMax   = Math.max(p0, p1) + radius;
+    var polygonMin =  Infinity;
+    var polygonMax = -Infinity;
+    
+    for (let v of vertices) {
+      var dot = (v._x + x) * axis.x + (v._y + y) * axis.y;
+      
+      if (dot < polygonMin) polygonMin = dot;
+      if (dot > polygonMax) polygonMax = dot;
+    }
+    
+    // Overlap when the round shape is pushed back along the axis, or forward
+    var overlapBack    = roundMax - polygonMin;
+    var overlapForward = polygonMax - roundMin;
+    
+    // If the projections don't overlap, there is a separating axis
+    if (overlapBack <= 0 || overlapForward <= 0) {
+      return null;
+    }
+    
+    if (overlapBack < smallestOverlap) {
+      smallestOverlap = overlapBack;
+      smallestAxis    = {x: axis.x, y: axis.y};
+    }
+    if (overlapForward < smallestOverlap) {
+      smallestOverlap = overlapForward;
+      smallestAxis    = {x: -axis.x, y: -axis.y};
+    }
+  }
+  
+  // The deepest point of the round shape is its support point along the
+  // direction, so the contact is halfway between that and the polygon
+  var support0 = seg.x0 * smallestAxis.x + seg.y0 * smallestAxis.y;
+  var support1 = seg.x1 * smallestAxis.x + seg.y1 * smallestAxis.y;
+  var supportX = seg.x0;
+  var supportY = seg.y0;
+  
+  if (Math.abs(support0 - support1) < 0.0015) {
+    supportX = (seg.x0 + seg.x1) * 0.5;
+    supportY = (seg.y0 + seg.y1) * 0.5;
+  } else if (support1 > support0) {
+    supportX = seg.x1;
+    supportY = seg.y1;
+  }
+  
+  return {
+    direction: smallestAxis,
+    depth:     smallestOverlap,
+    x:         supportX + smallestAxis.x * (radius - smallestOverlap * 0.5),
+    y:         supportY + smallestAxis.y * (radius - smallestOverlap * 0.5)
+  };
+};
+
+// Gets the average of the part's vertices
+var getPartCenter = function (part) {
+  var center = {x: 0, y: 0};
+  
+  for (let v of part) {
+    center.x += v._x / part.length;
+    center.y += v._y / part.length;
+  }
+  
+  return center;
+};
+
 /**
  * A game object with basic 2D physics
  */
@@ -20,9 +198,83 @@ var PhysicsObject = function () {
   this.mass               = 1.0;
   this.friction           = 0.0; // This object's surface's friction
   this.restitution        = 0.0; // This object's surface's bounciness
+  this.material           = null; // Overrides friction and restitution
+  
+  // The physics material of the current frame, if it has one
+  this._frameMaterial = undefined;
   this.solid              = true;
-  this.fixed              = false;
+  
+  // Static bodies never move, kinematic bodies move only by their velocity,
+  // and dynamic bodies are moved by forces and collisions. Static and
+  // kinematic bodies are both "fixed" (treated as having infinite mass)
+  this._bodyType          = PhysicsObject.BODY_TYPE.DYNAMIC;
+  
   this.allowOverlapEvents = false;
+  this.gravityScale       = 1.0; // Multiplies the scene's gravity
+  this.linearDamping      = 0.0; // Portion of velocity lost per frame
+  
+  // Acceleration from outside sources (like force fields), which isn't
+  // limited by max acceleration. Cleared every frame
+  this._externalAcceleration = new geom.Vec2();
+  
+  // Fast movers (like bullets) can be swept over their whole move each frame
+  // so that they can't pass through thin objects
+  this.bullet = false;
+  
+  // One-way objects (like platforms that can be jumped up through) only
+  // collide with objects pushed out along their one-way normal, which turns
+  // with the object
+  this.oneWay       = false;
+  this.oneWayNormal = new geom.Vec2(0, -1);
+  
+  // Frames left until one-way collisions are allowed again with objects,
+  // where the key is the object's wflId
+  this._oneWayDisabledFrames = {};
+  
+  // Rotation, in radians per frame. Like acceleration, angular acceleration
+  // (from torque) is kept until it's changed
+  this.angularVelocity     = 0;
+  this.angularAcceleration = 0;
+  this.angularDamping      = 0; // Portion of angular velocity lost per frame
+  
+  // If true, this object never rotates from torque, impulses or collisions.
+  // Objects that should tumble opt in by setting it to false
+  this.fixedRotation = true;
+  
+  // Objects standing on this kinematic object, which are carried along when
+  // it moves next. Found again through collisions every frame
+  this._riders = [];
+  
+  // Resting objects that allow sleep stop being simulated once they've
+  // moved slower than the sleep speeds for sleepDelay frames. Contacts,
+  // forces, impulses and wake() wake them up again
+  this.allowSleep        = false;
+  this.sleepSpeed        = PhysicsObject.DEFAULT_SLEEP_SPEED;
+  this.sleepAngularSpeed = PhysicsObject.DEFAULT_SLEEP_ANGULAR_SPEED;
+  this.sleepDelay        = PhysicsObject.DEFAULT_SLEEP_DELAY;
+  this._sleeping         = false;
+  this._restingTime      = 0;
+  
+  // Moment of inertia. Derived from the vertices (or shape) and mass unless
+  // set explicitly through "inertia"
+  this._inertia = undefined;
+  
+  // The derived moment of inertia, along with what it was derived from. It's
+  // derived again once any of those change
+  this._inertiaCache = {
+    value:    0,
+    mass:     undefined,
+    shape:    undefined,
+    vertices: undefined,
+    width:    undefined,
+    height:   undefined
+  };
+  
+  // Bit flags for the collision groups this object belongs to, and the groups
+  // it can collide with. Both can also be set with group names (see
+  // collisionGroups)
+  this._collisionCategory = collisionGroups.DEFAULT;
+  this._collisionMask     = collisionGroups.ALL;
   
   // 2D vectors that describes how much this PhysicsObject has to move this
   // frame to resolve its collisions
@@ -47,6 +299,19 @@ Object.defineProperties(PhysicsObject, {
   DEFAULT_MAX_SPEED: {
     value: 0.4
   },
+  DEFAULT_SLEEP_SPEED: {
+    value: 0.01
+  },
+  DEFAULT_SLEEP_ANGULAR_SPEED: {
+    value: 0.02
+  },
+  DEFAULT_SLEEP_DELAY: {
+    value: 30
+  },
+  
+  DEBUG_SLEEP_COLOR: {
+    value: 0x8888FF
+  },
 
   // The amount of angles at which the physics object can be rendered
   TOTAL_DISPLAY_ANGLES: {
@@ -67,6 +332,21 @@ Object.defineProperties(PhysicsObject, {
     value: []
   },
   
+  BODY_TYPE : {
+    value: Object.freeze({
+      STATIC:    "static",
+      KINEMATIC: "kinematic",
+      DYNAMIC:   "dynamic"
+    })
+  },
+  
+  // How closely the push out of a kinematic object must line up with "up"
+  // (against gravity) for the pushed object to be carried along by it, as
+  // the cosine of the largest angle allowed between them
+  CARRY_MIN_ALIGNMENT : {
+    value: 0.5
+  },
+  
   // During narrow phase of collision detection, the object's position may need
   // to be multi-sampled along its velocity path to see if it collided with
   // another object some time between this frame and the previous. This is the
@@ -75,6 +355,37 @@ Object.defineProperties(PhysicsObject, {
     value: 6
   },
   
+  // Events emitted when contacts with other objects start, continue and end.
+  // Listeners get the other object and (for collisions) the collision data
+  Event : {
+    value: Object.freeze({
+      COLLISION_ENTER : "collisionenter",
+      COLLISION_STAY  : "collisionstay",
+      COLLISION_EXIT  : "collisionexit",
+      OVERLAP_ENTER   : "overlapenter",
+      OVERLAP_STAY    : "overlapstay",
+      OVERLAP_EXIT    : "overlapexit"
+    })
+  },
+  
+  // How far bullets are placed past their first contact, so that the narrow
+  // phase sees them as colliding
+  BULLET_CONTACT_SKIN : {
+    value: 0.01
+  },
+  
+  // How closely a collision must line up with a one-way object's normal to
+  // count, as the cosine of the largest angle allowed between them
+  ONE_WAY_MIN_ALIGNMENT : {
+    value: 0.5
+  },
+  
+  // Extra depth allowed into one-way objects beyond how far an object moved
+  // into them this frame
+  ONE_WAY_DEPTH_SLOP : {
+    value: 0.5
+  },
+  
   // PhysicsObjects can only adjust their position's x or y if they have moved
   // more than this amount in that direction over the past 2 frames
   MIN_DISPLACEMENT_TO_MOVE: {
@@ -100,30 +411,364 @@ Object.defineProperties(PhysicsObject, {
 });
 
 PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
+  collisionCategory: {
+    get: function () { return this._collisionCategory; },
+    set: function (value) {
+      this._collisionCategory = collisionGroups.mask(value);
+    }
+  },
+  
+  collisionMask: {
+    get: function () { return this._collisionMask; },
+    set: function (value) {
+      this._collisionMask = collisionGroups.mask(value);
+    }
+  },
+  
+  /**
+   * Gets the physics material in effect: this object's own material, then the
+   * current frame's. Returns null if neither has one, meaning that friction
+   * and restitution are used instead
+   */
+  getMaterial: {
+    value: function () {
+      var material = this.material || this._frameMaterial;
+      
+      return PhysicsMaterial.resolve(material) || null;
+    }
+  },
+  
+  /**
+   * Gets the friction for a contact between this object and another
+   */
+  getCombinedFriction: {
+    value: function (physObj) {
+      var material      = this.getMaterial();
+      var otherMaterial = physObj.getMaterial();
+      
+      return PhysicsMaterial.combine(
+        material      ? material.friction      : this.friction,
+        otherMaterial ? otherMaterial.friction : physObj.friction,
+        material      ? material.frictionCombine :
+                        PhysicsMaterial.DEFAULT.frictionCombine,
+        otherMaterial ? otherMaterial.frictionCombine :
+                        PhysicsMaterial.DEFAULT.frictionCombine
+      );
+    }
+  },
+  
+  /**
+   * Gets the restitution for a contact between this object and another
+   */
+  getCombinedRestitution: {
+    value: function (physObj) {
+      var material      = this.getMaterial();
+      var otherMaterial = physObj.getMaterial();
+      
+      return PhysicsMaterial.combine(
+        material      ? material.restitution      : this.restitution,
+        otherMaterial ? otherMaterial.restitution : physObj.restitution,
+        material      ? material.restitutionCombine :
+                        PhysicsMaterial.DEFAULT.restitutionCombine,
+        otherMaterial ? otherMaterial.restitutionCombine :
+                        PhysicsMaterial.DEFAULT.restitutionCombine
+      );
+    }
+  },
+  
+  bodyType: {
+    get: function () { return this._bodyType; },
+    set: function (value) {
+      this._bodyType = value;
+      this._riders   = [];
+      this.wake();
+    }
+  },
+  
+  sleeping: {
+    get: function () { return this._sleeping; }
+  },
+  
+  /**
+   * Whether or not this object has been resting long enough to fall asleep
+   */
+  readyToSleep: {
+    get: function () {
+      return this.allowSleep && !this._sleeping &&
+        this._bodyType === PhysicsObject.BODY_TYPE.DYNAMIC &&
+        this._restingTime >= this.sleepDelay;
+    }
+  },
+  
+  /**
+   * Stops simulating this object until something wakes it up
+   */
+  sleep: {
+    value: function () {
+      if (this._bodyType !== PhysicsObject.BODY_TYPE.DYNAMIC) {
+        return;
+      }
+      
+      this._sleeping           = true;
+      this._restingTime        = 0;
+      this.velocity._x         = 0;
+      this.velocity._y         = 0;
+      this.acceleration._x     = 0;
+      this.acceleration._y     = 0;
+      this.angularVelocity     = 0;
+      this.angularAcceleration = 0;
+    }
+  },
+  
+  wake: {
+    value: function () {
+      this._sleeping    = false;
+      this._restingTime = 0;
+    }
+  },
+  
+  /**
+   * Tracks how long this object has been resting. Called by the scene after
+   * collisions are resolved each frame
+   */
+  updateSleep: {
+    value: function (dt) {
+      if (!this.allowSleep || this._sleeping ||
+          this._bodyType !== PhysicsObject.BODY_TYPE.DYNAMIC) {
+        this._restingTime = 0;
+        return;
+      }
+      
+      var speedSquared =
+        this.velocity._x * this.velocity._x +
+        this.velocity._y * this.velocity._y;
+      
+      if (speedSquared <= this.sleepSpeed * this.sleepSpeed &&
+          Math.abs(this.angularVelocity) <= this.sleepAngularSpeed) {
+        this._restingTime += dt;
+      } else {
+        this._restingTime = 0;
+      }
+    }
+  },
+  
+  /**
+   * Whether or not this object is treated as having infinite mass. Setting it
+   * makes this object static or dynamic
+   */
+  fixed: {
+    get: function () {
+      return this._bodyType !== PhysicsObject.BODY_TYPE.DYNAMIC;
+    },
+    set: function (value) {
+      this.bodyType = value ?
+        PhysicsObject.BODY_TYPE.STATIC :
+        PhysicsObject.BODY_TYPE.DYNAMIC;
+    }
+  },
+  
+  /**
+   * Called when a collision pushes another object out of this one along
+   * (pushX, pushY). If this object is kinematic and the push is against
+   * gravity, the other object is standing on it and is carried along the
+   * next time this object moves
+   */
+  trackRider: {
+    value: function (physObj, pushX, pushY) {
+      if (this._bodyType !== PhysicsObject.BODY_TYPE.KINEMATIC ||
+          physObj.fixed ||
+          this._riders.indexOf(physObj) >= 0) {
+        return;
+      }
+      
+      var upX      = 0;
+      var upY      = -1;
+      var gravity  = this.scene ? this.scene.gravity : null;
+      var gravMag  = gravity ? Math.sqrt(gravity._x * gravity._x + gravity._y * gravity._y) : 0;
+      var pushMag  = Math.sqrt(pushX * pushX + pushY * pushY);
+      
+      if (gravMag !== 0) {
+        upX = -gravity._x / gravMag;
+        upY = -gravity._y / gravMag;
+      }
+      
+      if (pushMag !== 0 &&
+          (pushX * upX + pushY * upY) / pushMag >= PhysicsObject.CARRY_MIN_ALIGNMENT) {
+        this._riders.push(physObj);
+      }
+    }
+  },
+  
   addForce: {
     value: function (force) {
+      this.wake();
       force.divide(this.mass);
       this.acceleration.add(force);
     }
   },
 
+  /**
+   * Adds a force for this frame that isn't limited by max acceleration, like
+   * wind pushing on this object
+   */
+  addExternalForce: {
+    value: function (force) {
+      this.wake();
+      this._externalAcceleration._x += force._x / this.mass;
+      this._externalAcceleration._y += force._y / this.mass;
+    }
+  },
+
   addImpulse: {
     value: function (impulse) {
+      this.wake();
       impulse.divide(this.mass);
       this.velocity.add(impulse);
     }
   },
+  
+  addTorque: {
+    value: function (torque) {
+      this.wake();
+      
+      if (!this.fixedRotation) {
+        this.angularAcceleration += torque / this.inertia;
+      }
+    }
+  },
+  
+  /**
+   * Adds an impulse at a point in world coordinates. Points away from this
+   * object's position also make it spin
+   */
+  addImpulseAtPoint: {
+    value: function (impulse, point) {
+      var rx = point._x - this.transform.position._x;
+      var ry = point._y - this.transform.position._y;
+      
+      this.wake();
+      this.velocity._x += impulse._x / this.mass;
+      this.velocity._y += impulse._y / this.mass;
+      
+      if (!this.fixedRotation) {
+        this.angularVelocity += (rx * impulse._y - ry * impulse._x) / this.inertia;
+      }
+    }
+  },
+  
+  /**
+   * The moment of inertia around this object's position. Setting it to
+   * undefined goes back to deriving it from the vertices (or shape) and mass
+   */
+  inertia: {
+    get: function () {
+      if (typeof this._inertia !== 'undefined') {
+        return this._inertia;
+      }
+      
+      // Rotating the vertices in place doesn't change the inertia around this
+      // object's position, so the same vertices can keep the cached value
+      var cache = this._inertiaCache;
+      var shape = this.getShape();
+      
+      if (cache.mass     !== this.mass          ||
+          cache.shape    !== shape              ||
+          cache.vertices !== this.vertices      ||
+          cache.width    !== this._cachedWidth  ||
+          cache.height   !== this._cachedHeight) {
+        cache.value    = this._deriveInertia(shape);
+        cache.mass     = this.mass;
+        cache.shape    = shape;
+        cache.vertices = this.vertices;
+        cache.width    = this._cachedWidth;
+        cache.height   = this._cachedHeight;
+      }
+      
+      return cache.value;
+    },
+    set: function (value) {
+      this._inertia = value;
+    }
+  },
+  
+  /**
+   * Derives the moment of inertia from the shape (or vertices) and mass
+   */
+  _deriveInertia: {
+    value: function (shape) {
+      var mass = this.mass;
+      
+      if (shape) {
+        var segment = shape.getSegment(0, 0);
+        var dx      = segment.x1 - segment.x0;
+        var dy      = segment.y1 - segment.y0;
+        var cx      = (segment.x0 + segment.x1) * 0.5;
+        var cy      = (segment.y0 + segment.y1) * 0.5;
+        
+        // Capsules are treated as a disc stretched along the segment
+        return mass * (
+          shape.radius * shape.radius * 0.5 +
+          (dx * dx + dy * dy) / 12 +
+          cx * cx + cy * cy
+        );
+      }
+      
+      var vertices    = this.vertices;
+      var numerator   = 0;
+      var denominator = 0;
+      
+      for (var i = 0; i < vertices.length; i++) {
+        var a     = vertices[i];
+        var b     = vertices[(i + 1) % vertices.length];
+        var cross = a._x * b._y - b._x * a._y;
+        
+        numerator += cross * (
+          a._x * a._x + a._y * a._y +
+          a._x * b._x + a._y * b._y +
+          b._x * b._x + b._y * b._y
+        );
+        denominator += cross;
+      }
+      
+      if (denominator !== 0) {
+        return mass * numerator / (6 * denominator);
+      }
+      
+      // Without a polygon, fall back to the sprite's box
+      var width  = this._cachedWidth;
+      var height = this._cachedHeight;
+      
+      return mass * Math.max((width * width + height * height) / 12, 1);
+    }
+  },
 
   rotate: {
     value: function (theta) {
       if (this.allowVertexRotation) {
         // Reset SAT Axes
         this._satAxes = null;
+        
+        this.oneWayNormal.rotate(theta);
       }
 
       return GameObject.prototype.rotate.call(this, theta);
     }
   },
+  
+  mirror: {
+    value: function (horizontal, vertical) {
+      var axis = this._getMirrorAxis();
+      
+      // One-way objects let things through from the mirrored side now
+      if (horizontal) this.oneWayNormal.reflect(axis.x, axis.y);
+      if (vertical)   this.oneWayNormal.reflect(-axis.y, axis.x);
+      
+      // Reset SAT Axes
+      this._satAxes = null;
+      
+      return GameObject.prototype.mirror.call(this, horizontal, vertical);
+    }
+  },
 
   getDisplayAngle: {
     value: function (angle) {
@@ -134,7 +779,17 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
 
   update: {
     value: function (dt) {
-      if (!this.fixed)  {
+      // Sleep zeroes out motion, so any motion given since means something
+      // has moved this object
+      if (this._sleeping &&
+          (this.velocity._x !== 0 || this.velocity._y !== 0 ||
+           this.acceleration._x !== 0 || this.acceleration._y !== 0 ||
+           this.angularVelocity !== 0 || this.angularAcceleration !== 0)) {
+        this.wake();
+      }
+      
+      if (this._bodyType === PhysicsObject.BODY_TYPE.DYNAMIC &&
+          !this._sleeping) {
         // Apply an acceleration matching the displayed direction for the 
         // physics object
         var accelerationAngle =
@@ -159,6 +814,19 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         this.velocity._y += 
           PhysicsObject.SINE_ANGLE_CACHE[displayAccelerationAngle] *
           accelerationMag * dt;
+        
+        // Gravity and external forces are applied on their own so that they
+        // don't take up any of the max acceleration
+        if (this.scene && this.scene.gravity) {
+          this._externalAcceleration._x += this.scene.gravity._x * this.gravityScale;
+          this._externalAcceleration._y += this.scene.gravity._y * this.gravityScale;
+        }
+        this.velocity._x += this._externalAcceleration._x * dt;
+        this.velocity._y += this._externalAcceleration._y * dt;
+        
+        if (this.linearDamping !== 0) {
+          this.velocity.multiply(Math.max(0, 1 - this.linearDamping * dt));
+        }
 
         var velocityMagRef =
             this.velocity._x * this.velocity._x +
@@ -170,16 +838,55 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
           this.velocity._x *= this.maxSpeed / velocityMagRef;
           this.velocity._y *= this.maxSpeed / velocityMagRef;
         }
-
+      }
+      
+      if (this._bodyType !== PhysicsObject.BODY_TYPE.STATIC &&
+          !this._sleeping) {
         // Apply the current velocity
         this._previousPosition._x = this.transform.position._x;
         this._previousPosition._y = this.transform.position._y;
+        this._previousVelocity._x = this.velocity._x;
+        this._previousVelocity._y = this.velocity._y;
         this.transform.position._x += this.velocity._x * dt;
         this.transform.position._y += this.velocity._y * dt;
+        
+        // Apply the current angular velocity
+        if (!this.fixedRotation) {
+          this.angularVelocity += this.angularAcceleration * dt;
+          this.angularVelocity *= Math.max(0, 1 - this.angularDamping * dt);
+          
+          if (this.angularVelocity !== 0) {
+            this.rotate(this.angularVelocity * dt);
+          }
+        }
+        
+        // Carry anything standing on this object by as much as it moved
+        for (let rider of this._riders) {
+          if (rider.scene === this.scene && !rider.pendingDestroy) {
+            rider.transform.position._x += this.velocity._x * dt;
+            rider.transform.position._y += this.velocity._y * dt;
+          }
+        }
+        this._riders = [];
+      }
+      
+      this._externalAcceleration._x = 0;
+      this._externalAcceleration._y = 0;
+      
+      for (let wflId in this._oneWayDisabledFrames) {
+        this._oneWayDisabledFrames[wflId] -= dt;
+        
+        if (this._oneWayDisabledFrames[wflId] <= 0) {
+          delete this._oneWayDisabledFrames[wflId];
+        }
       }
       
       // Optimization: Includes GameObject's update() via copypaste to prevent
       // Function.prototype.call()
+      if (this.animator !== undefined) {
+        this.animator.update(this);
+      }
+      
       if (this.currentState !== undefined) {
         this.currentState.update(dt);
         this._setSprite(this.currentState.sprite);
@@ -194,15 +901,18 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
       var cache      = this.calculationCache;
       var otherCache = physObj.calculationCache;
 
-      // Specifically, check if the two object's AABBs are overlapping
-      var thisHalfW = cache.aabbHalfWidth;
-      var thisHalfH = cache.aabbHalfHeight;
-      var thisX     = cache.x;
-      var thisY     = cache.y;
-      var thatHalfW = otherCache.aabbHalfWidth;
-      var thatHalfH = otherCache.aabbHalfHeight;
-      var thatX     = otherCache.x;
-      var thatY     = otherCache.y;
+      // Specifically, check if the two object's AABBs are overlapping.
+      // Bullets use the AABB around their whole move this frame
+      var thisSwept = this.bullet;
+      var thatSwept = physObj.bullet;
+      var thisHalfW = thisSwept ? cache.sweptHalfWidth  : cache.aabbHalfWidth;
+      var thisHalfH = thisSwept ? cache.sweptHalfHeight : cache.aabbHalfHeight;
+      var thisX     = thisSwept ? cache.sweptX : cache.x;
+      var thisY     = thisSwept ? cache.sweptY : cache.y;
+      var thatHalfW = thatSwept ? otherCache.sweptHalfWidth  : otherCache.aabbHalfWidth;
+      var thatHalfH = thatSwept ? otherCache.sweptHalfHeight : otherCache.aabbHalfHeight;
+      var thatX     = thatSwept ? otherCache.sweptX : otherCache.x;
+      var thatY     = thatSwept ? otherCache.sweptY : otherCache.y;
       
       return thisX - thisHalfW <= thatX + thatHalfW &&
              thisX + thisHalfW >= thatX - thatHalfW &&
@@ -211,18 +921,44 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
     }
   },
   
+  /**
+   * Checks whether this object's convex polygon overlaps the other object's.
+   * The polygons default to the objects' vertices, but can be convex parts
+   * of them
+   */
   checkNarrowPhaseCollision: {
-    value: function (physObj, collisionData = {}) {
+    value: function (
+      physObj,
+      collisionData = {},
+      vertices      = this.vertices,
+      otherVertices = physObj.vertices
+    ) {
+      var shape      = this.getShape();
+      var otherShape = physObj.getShape();
+      
+      if (shape || otherShape) {
+        return this._checkShapeCollision(
+          physObj,
+          shape,
+          otherShape,
+          collisionData,
+          vertices,
+          otherVertices
+        );
+      }
+      
       var cache             = this.calculationCache;
       var otherCache        = physObj.calculationCache;
-      var axes              = this._satGetAxes().concat(physObj._satGetAxes());
+      var axes              = this._satGetAxes(vertices).concat(
+        physObj._satGetAxes(otherVertices)
+      );
       var smallestOverlap   = Infinity;
       var smallestAxis      = null;
       
       for (var i = 0; i < axes.length; i++) {
         var axis        = axes[i];
-        var projection1 = this._satGetProjectionOntoAxis(axis);
-        var projection2 = physObj._satGetProjectionOntoAxis(axis);
+        var projection1 = this._satGetProjectionOntoAxis(axis, vertices);
+        var projection2 = physObj._satGetProjectionOntoAxis(axis, otherVertices);
         var overlapping = 
           projection1.min <= projection2.max &&
           projection1.max >= projection2.min;
@@ -251,9 +987,11 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
       
       // Determine which direction the physics object should be pushed out
       // based on what side it's on of the other object
+      var center       = this._getPolygonCenter(vertices);
+      var otherCenter  = physObj._getPolygonCenter(otherVertices);
       var displacement = {
-        x: otherCache.x - cache.x,
-        y: otherCache.y - cache.y
+        x: otherCache.x + otherCenter.x - cache.x - center.x,
+        y: otherCache.y + otherCenter.y - cache.y - center.y
       };
       var dotProductWithSmallestAxis =
           displacement.x * smallestAxis.x +
@@ -283,7 +1021,7 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
       
       // Find the 2 vertices on physObj that are closest to this object's
       // current and past position
-      for (let v of physObj.vertices) {
+      for (let v of otherVertices) {
         var vert = v.clone().add(physObj.position);
         vert.prev = v.prev;
         vert.next = v.next;
@@ -318,7 +1056,7 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         var p1 = null;
         
         if (closestToCur.prev === closestToPrev) {
-          var v = geom.Vec2.subtract(closestToCur, closestToPrev)
+          let v = geom.Vec2.subtract(closestToCur, closestToPrev)
             .normalize()
             .getOrthogonal();
           collisionData.direction = {
@@ -326,7 +1064,7 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
             y: -v._y
           };
         } else if (closestToCur.next === closestToPrev) {
-          var v = geom.Vec2.subtract(closestToPrev, closestToCur)
+          let v = geom.Vec2.subtract(closestToPrev, closestToCur)
             .normalize()
             .getOrthogonal();
           collisionData.direction = {
@@ -345,7 +1083,7 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
          * Determine which edge is most perpendicular to the separation normal,
          * left edge or right edge?
          */
-        var prev = closestToCur.prev.clone().add(physObj.position);
+        prev = closestToCur.prev.clone().add(physObj.position);
         var next = closestToCur.next.clone().add(physObj.position);
 
         var leftNormal =
@@ -413,21 +1151,331 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         }
       }
       
-      return true;
+      return true;
+    }
+  },
+  
+  /**
+   * Narrow phase for when either object has a circle or capsule shape. Unlike
+   * the polygon narrow phase, this also finds the contact point, since
+   * findContactManifold() only works with polygons
+   */
+  _checkShapeCollision: {
+    value: function (physObj, shape, otherShape, collisionData, vertices, otherVertices) {
+      var cache      = this.calculationCache;
+      var otherCache = physObj.calculationCache;
+      var result     = null;
+      
+      if (shape && otherShape) {
+        result = collideRoundRound(
+          shape.getSegment(cache.x, cache.y),
+          shape.radius,
+          otherShape.getSegment(otherCache.x, otherCache.y),
+          otherShape.radius
+        );
+      } else if (shape) {
+        result = collideRoundPolygon(
+          shape.getSegment(cache.x, cache.y),
+          shape.radius,
+          otherVertices,
+          otherCache.x,
+          otherCache.y,
+          physObj._satGetAxes(otherVertices)
+        );
+      } else {
+        result = collideRoundPolygon(
+          otherShape.getSegment(otherCache.x, otherCache.y),
+          otherShape.radius,
+          vertices,
+          cache.x,
+          cache.y,
+          this._satGetAxes(vertices)
+        );
+        
+        // Flip the direction to point from this object to the other
+        if (result) {
+          result.direction.x *= -1;
+          result.direction.y *= -1;
+        }
+      }
+      
+      if (!result) {
+        return false;
+      }
+      
+      collisionData.colliding       = true;
+      collisionData.direction       = result.direction;
+      collisionData.contactPoint    = {
+        x:     result.x,
+        y:     result.y,
+        depth: result.depth
+      };
+      collisionData.contactManifold = [collisionData.contactPoint];
+      
+      // Round shapes slide along the tangent of the contact, pointing in the
+      // direction the object is going
+      collisionData.edgeDirection = new geom.Vec2(
+        -result.direction.y,
+        result.direction.x
+      );
+      if (geom.Vec2.dot(collisionData.edgeDirection, this.velocity) < 0) {
+        collisionData.edgeDirection.multiply(-1);
+      }
+      
+      return true;
+    }
+  },
+  
+  checkCollision: {
+    value: function (physObj) {
+      var parts      = this._getCollisionParts();
+      var otherParts = physObj._getCollisionParts();
+      var position   = this.transform.position;
+      var endX       = position._x;
+      var endY       = position._y;
+      var collisionData;
+      
+      if (parts.length === 1 && otherParts.length === 1) {
+        collisionData = this._checkConvexCollision(physObj);
+      } else {
+        collisionData = this._checkPartsCollision(physObj, parts, otherParts);
+      }
+      
+      // Contacts from the wrong side of one-way objects are ignored, and
+      // this object finishes its move as if nothing was hit
+      if (collisionData.contactPoint &&
+          !this.checkOneWayCollision(physObj, collisionData, endX, endY)) {
+        position._x = this.calculationCache.x = endX;
+        position._y = this.calculationCache.y = endY;
+        collisionData.colliding       = false;
+        collisionData.contactPoint    = null;
+        collisionData.contactManifold = null;
+        return collisionData;
+      }
+      
+      if (collisionData.contactPoint) {
+        this._applySurfaceImpulse(physObj, collisionData);
+      }
+      
+      return collisionData;
+    }
+  },
+  
+  /**
+   * Returns whether or not a collision found with checkCollision() should be
+   * kept when either object is one-way. (endX, endY) is where this object was
+   * before checking the collision moved it
+   */
+  checkOneWayCollision: {
+    value: function (physObj, collisionData, endX, endY) {
+      if (!this.oneWay && !physObj.oneWay) {
+        return true;
+      }
+      
+      var direction  = collisionData.direction;
+      var depth      = collisionData.contactPoint.depth;
+      var cache      = this.calculationCache;
+      var otherCache = physObj.calculationCache;
+      var moveX      = 0;
+      var moveY      = 0;
+      
+      // How far this object moved relative to the other this frame. Static
+      // objects don't keep track of their previous position
+      if (this._bodyType !== PhysicsObject.BODY_TYPE.STATIC) {
+        moveX += endX - cache.px;
+        moveY += endY - cache.py;
+      }
+      if (physObj.bodyType !== PhysicsObject.BODY_TYPE.STATIC) {
+        moveX -= otherCache.x - otherCache.px;
+        moveY -= otherCache.y - otherCache.py;
+      }
+      
+      // Collision directions point from this object to the other, so the
+      // other object is pushed out along it
+      if (this.oneWay &&
+          !this._acceptsOneWayContact(
+            physObj, direction.x, direction.y, depth, -moveX, -moveY
+          )) {
+        return false;
+      }
+      
+      if (physObj.oneWay &&
+          !physObj._acceptsOneWayContact(
+            this, -direction.x, -direction.y, depth, moveX, moveY
+          )) {
+        return false;
+      }
+      
+      return true;
+    }
+  },
+  
+  /**
+   * Stops this one-way object from colliding with the given object for a
+   * number of frames (such as to drop through a platform). Without a
+   * duration, it lasts until enableOneWayFor() is called
+   */
+  disableOneWayFor: {
+    value: function (physObj, duration = Infinity) {
+      this._oneWayDisabledFrames[physObj.wflId] = duration;
+    }
+  },
+  
+  enableOneWayFor: {
+    value: function (physObj) {
+      delete this._oneWayDisabledFrames[physObj.wflId];
+    }
+  },
+  
+  isOneWayDisabledFor: {
+    value: function (physObj) {
+      return typeof this._oneWayDisabledFrames[physObj.wflId] !== 'undefined';
+    }
+  },
+  
+  /**
+   * Returns whether or not this one-way object collides with another object
+   * that would be pushed out along (pushX, pushY). (relativeMoveX,
+   * relativeMoveY) is how far the other object moved relative to this one
+   * this frame
+   */
+  _acceptsOneWayContact: {
+    value: function (physObj, pushX, pushY, depth, relativeMoveX, relativeMoveY) {
+      if (this.isOneWayDisabledFor(physObj)) {
+        return false;
+      }
+      
+      var normal       = this.oneWayNormal;
+      var normalLength = Math.sqrt(normal._x * normal._x + normal._y * normal._y);
+      var pushLength   = Math.sqrt(pushX * pushX + pushY * pushY);
+      
+      if (normalLength === 0 || pushLength === 0) {
+        return true;
+      }
+      
+      var nx = normal._x / normalLength;
+      var ny = normal._y / normalLength;
+      
+      // Only collide when pushing the other object out the one-way side
+      if ((pushX * nx + pushY * ny) / pushLength <
+          PhysicsObject.ONE_WAY_MIN_ALIGNMENT) {
+        return false;
+      }
+      
+      // Objects that were already partway through (like ones jumping up
+      // through this object) keep passing through
+      var movedIn = -(relativeMoveX * nx + relativeMoveY * ny);
+      
+      return depth <= Math.max(0, movedIn) + PhysicsObject.ONE_WAY_DEPTH_SLOP;
+    }
+  },
+  
+  /**
+   * Checks every pair of convex parts for collisions. The deepest collision
+   * decides how the objects are pushed apart, and the other overlapping
+   * parts pushing the same way add their contact points to its manifold.
+   * Parts overlapping in other directions are resolved by later collision
+   * iterations
+   */
+  _checkPartsCollision: {
+    value: function (physObj, parts, otherParts) {
+      var cache         = this.calculationCache;
+      var position      = this.transform.position;
+      var startX        = position._x;
+      var startY        = position._y;
+      var bestX         = startX;
+      var bestY         = startY;
+      var collisionData = null;
+      var best          = null;
+      var contacts      = [];
+      
+      for (let part of parts) {
+        for (let otherPart of otherParts) {
+          // Checking for a collision may move this object along its velocity
+          position._x = cache.x = startX;
+          position._y = cache.y = startY;
+          
+          collisionData = this._checkConvexCollision(physObj, part, otherPart);
+          
+          if (!collisionData.contactPoint) {
+            continue;
+          }
+          
+          contacts.push(collisionData);
+          
+          if (!best || collisionData.contactPoint.depth > best.contactPoint.depth) {
+            best  = collisionData;
+            bestX = position._x;
+            bestY = position._y;
+          }
+        }
+      }
+      
+      position._x = cache.x = bestX;
+      position._y = cache.y = bestY;
+      
+      if (!best) {
+        return collisionData;
+      }
+      
+      for (let contact of contacts) {
+        if (contact !== best && best.contactManifold && contact.contactManifold &&
+            contact.direction.x * best.direction.x +
+            contact.direction.y * best.direction.y > 0) {
+          best.contactManifold = best.contactManifold.concat(
+            contact.contactManifold
+          );
+        }
+      }
+      
+      return best;
     }
   },
   
-  checkCollision: {
-    value: function (physObj) {
+  /**
+   * Gets the convex polygons used for collisions. A round shape counts as a
+   * single part
+   */
+  _getCollisionParts: {
+    value: function () {
+      if (!this.getShape() && this.convexParts.length > 0) {
+        return this.convexParts;
+      }
+      
+      return [this.vertices];
+    }
+  },
+  
+  /**
+   * Gets the center of one of this object's convex polygons, relative to its
+   * position. This object's whole polygon is centered on its position
+   */
+  _getPolygonCenter: {
+    value: function (vertices) {
+      if (vertices === this.vertices) {
+        return {x: 0, y: 0};
+      }
+      
+      return getPartCenter(vertices);
+    }
+  },
+  
+  /**
+   * Checks for a collision between this object's convex polygon (or round
+   * shape) and the other object's
+   */
+  _checkConvexCollision: {
+    value: function (physObj, vertices = this.vertices, otherVertices = physObj.vertices) {
       var collisionData = {
-        colliding:     false,
-        direction:     null,
-        altDirection:  null,
-        bestEdge:      null,
-        altBestEdge:   null,
-        forceUndo:     false,
-        contactPoint:  null,
-        edgeDirection: null
+        colliding:       false,
+        direction:       null,
+        altDirection:    null,
+        bestEdge:        null,
+        altBestEdge:     null,
+        forceUndo:       false,
+        contactPoint:    null,
+        contactManifold: null,
+        edgeDirection:   null
       };
       
       // If the objects are close enough and may collide,
@@ -443,15 +1491,31 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         var velocityMag          = Math.sqrt(
           cache.vx * cache.vx + cache.vy * cache.vy
         );
+        var sweptPosition        = null;
+        
+        if (this.bullet || physObj.bullet) {
+          sweptPosition = this._sweepCollision(physObj, vertices, otherVertices);
+          
+          // Nothing was hit along the way
+          if (sweptPosition === false) {
+            return collisionData;
+          }
+        }
         
-        if (velocityMag !== 0) {
+        if (sweptPosition) {
+          // Bullets are placed at their first contact instead of being
+          // multi-sampled, so the narrow phase is only checked there
+          this.transform.position._x = cache.x = sweptPosition.x;
+          this.transform.position._y = cache.y = sweptPosition.y;
+          velocityIncrementMag = 0;
+        } else if (velocityMag !== 0) {
           var velocityDirection = {
             x: cache.vx / velocityMag,
             y: cache.vy / velocityMag
           };
           var smallestSide        = Math.min(cache.width * 0.5, cache.height * 0.5);
           var possibleSampleCount = 1 + Math.ceil(velocityMag / smallestSide);
-          var sampleCount         = Math.min(
+          sampleCount = Math.min(
             possibleSampleCount,
             PhysicsObject.MAX_COLLISION_MULTI_SAMPLE_COUNT
           );
@@ -473,7 +1537,9 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
           cache.x = this.transform.position._x;
           cache.y = this.transform.position._y;
           
-          if (this.checkNarrowPhaseCollision(physObj, collisionData)) {
+          if (this.checkNarrowPhaseCollision(
+                physObj, collisionData, vertices, otherVertices
+              )) {
             if (collisionData.forceUndo) {
               this.transform.position._x -= velocityIncrement.x;
               this.transform.position._y -= velocityIncrement.y;
@@ -487,10 +1553,18 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
               return collisionData;
             }
             
+            // Circles and capsules find their contact point during the
+            // narrow phase
+            if (collisionData.contactPoint) {
+              break;
+            }
+            
             var maxDepth         = -Infinity;
             var bestContactPoint = null;
-            var contactManifold  =
-                this.findContactManifold(physObj, collisionData);
+            var contactManifold  = this.findContactManifold(
+              physObj, collisionData, vertices, otherVertices
+            );
+            var bestManifold     = contactManifold;
 
             for (let point of contactManifold) {
               if (point.depth > maxDepth) {
@@ -514,57 +1588,224 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
                 contactPoint:  collisionData.contactPoint,
                 edgeDirection: collisionData.edgeDirection
               };
-              var contactManifoldAlt =
-                  this.findContactManifold(physObj, collisionDataAlt);
+              var contactManifoldAlt = this.findContactManifold(
+                physObj, collisionDataAlt, vertices, otherVertices
+              );
               
               for (let point of contactManifoldAlt) {
                 if (point.depth > maxDepth) {
                   maxDepth = point.depth;
                   bestContactPoint = point;
+                  bestManifold = contactManifoldAlt;
                 }
               }
             }
 
             if (bestContactPoint) {
-              collisionData.contactPoint = bestContactPoint;
-              
-              // Only determine an impulse with the physic object's surface if
-              // there's a collision with an edge. If there's only a point (aka
-              // no edge direction), then there's no edge to "slide" against.
-              if (collisionData.edgeDirection) {
-                var restitution       = this.restitution * physObj.restitution;
-                var friction          = (this.friction + physObj.friction) * 0.5;
-                var edge              = {
-                  x: collisionData.edgeDirection.x,
-                  y: collisionData.edgeDirection.y
-                };
-                var edgeDotVelocity   = edge.x * cache.vx + edge.y * cache.vy;
-                var parallelComponent = edgeDotVelocity * (1 - friction);
-                
-                // Multiply edge by parallel component to calculate impulse
-                edge.x *= parallelComponent;
-                edge.y *= parallelComponent;
-
-                if (physObj.fixed) {
-                  this.collisionSurfaceImpulseSum._x += edge.x;
-                  this.collisionSurfaceImpulseSum._y += edge.y;
-                } else {
-                  this.collisionSurfaceImpulseSum._x += edge.x / this.mass;
-                  this.collisionSurfaceImpulseSum._y += edge.y / this.mass;
-                  physObj.collisionSurfaceImpulseSum._x -= edge.x / physObj.mass;
-                  physObj.collisionSurfaceImpulseSum._y -= edge.y / physObj.mass;
-                }
-              }
+              collisionData.contactPoint    = bestContactPoint;
+              collisionData.contactManifold = bestManifold;
               break;
             }
           }
         }
+        
+        // Objects without vertices (or touching too lightly for the narrow
+        // phase) take their contact from the sweep instead
+        if (sweptPosition && !collisionData.contactPoint) {
+          this._setSweptContact(collisionData, sweptPosition.normal, vertices);
+        }
       }
       
       return collisionData;
     }
   },
   
+  /**
+   * Finds where this object first touches the other object over this frame's
+   * move (relative to the other object's move) by casting a ray against their
+   * Minkowski difference. Returns the {x, y} position to place this object
+   * at (with the other object's surface normal), false if they never touch,
+   * or null if a sweep can't help (such as when they were already touching
+   * at the start)
+   */
+  _sweepCollision: {
+    value: function (physObj, vertices = this.vertices, otherVertices = physObj.vertices) {
+      var cache      = this.calculationCache;
+      var otherCache = physObj.calculationCache;
+      var moveX      = cache.x - cache.px;
+      var moveY      = cache.y - cache.py;
+      
+      // Static objects don't keep track of their previous position
+      if (physObj.bodyType !== PhysicsObject.BODY_TYPE.STATIC) {
+        moveX -= otherCache.x - otherCache.px;
+        moveY -= otherCache.y - otherCache.py;
+      }
+      
+      var moveLength = Math.sqrt(moveX * moveX + moveY * moveY);
+      
+      if (moveLength === 0) {
+        return null;
+      }
+      
+      var sweepA     = this._getSweepPoints(vertices);
+      var sweepB     = physObj._getSweepPoints(otherVertices);
+      var difference = [];
+      
+      for (let b of sweepB.points) {
+        for (let a of sweepA.points) {
+          difference.push(new geom.Vec2(
+            otherCache.x + b._x - a._x,
+            otherCache.y + b._y - a._y
+          ));
+        }
+      }
+      
+      if (difference.length >= 3) {
+        difference = geom.polygon.convexHull(difference);
+      }
+      
+      var direction = new geom.Vec2(moveX / moveLength, moveY / moveLength);
+      var start     = new geom.Vec2(cache.x - moveX, cache.y - moveY);
+      var hit       = geom.ray.castPolygon(
+        start,
+        direction,
+        moveLength,
+        difference,
+        sweepA.radius + sweepB.radius
+      );
+      
+      if (!hit) {
+        return false;
+      }
+      
+      if (hit.distance === 0) {
+        return null;
+      }
+      
+      var distance = Math.min(
+        hit.distance + PhysicsObject.BULLET_CONTACT_SKIN,
+        moveLength
+      );
+      
+      return {
+        x:      start._x + direction._x * distance,
+        y:      start._y + direction._y * distance,
+        normal: hit.normal
+      };
+    }
+  },
+  
+  /**
+   * Fills in collision data for a bullet touching a surface with the given
+   * normal at its current position
+   */
+  _setSweptContact: {
+    value: function (collisionData, normal, vertices = this.vertices) {
+      var cache = this.calculationCache;
+      var sweep = this._getSweepPoints(vertices);
+      var nx    = -normal._x;
+      var ny    = -normal._y;
+      var reach = -Infinity;
+      
+      // The contact is on the side of this object facing the surface
+      for (let point of sweep.points) {
+        reach = Math.max(reach, point._x * nx + point._y * ny);
+      }
+      reach += sweep.radius;
+      
+      collisionData.colliding       = true;
+      collisionData.direction       = new geom.Vec2(nx, ny);
+      collisionData.contactPoint    = {
+        x:     cache.x + nx * reach,
+        y:     cache.y + ny * reach,
+        depth: PhysicsObject.BULLET_CONTACT_SKIN
+      };
+      collisionData.contactManifold = [collisionData.contactPoint];
+      collisionData.edgeDirection   = new geom.Vec2(-ny, nx);
+      
+      if (geom.Vec2.dot(collisionData.edgeDirection, this.velocity) < 0) {
+        collisionData.edgeDirection.multiply(-1);
+      }
+    }
+  },
+  
+  /**
+   * Gets the points (relative to this object's position) and radius that
+   * make up this object's collision area when sweeping. Objects without
+   * vertices use their AABB
+   */
+  _getSweepPoints: {
+    value: function (vertices = this.vertices) {
+      var shape = this.getShape();
+      
+      if (shape) {
+        var segment = shape.getSegment(0, 0);
+        
+        return {
+          points: [
+            new geom.Vec2(segment.x0, segment.y0),
+            new geom.Vec2(segment.x1, segment.y1)
+          ],
+          radius: shape.radius
+        };
+      }
+      
+      if (vertices.length > 0) {
+        return {
+          points: vertices,
+          radius: 0
+        };
+      }
+      
+      var halfW = this.calculationCache.aabbHalfWidth;
+      var halfH = this.calculationCache.aabbHalfHeight;
+      
+      return {
+        points: [
+          new geom.Vec2(-halfW, -halfH),
+          new geom.Vec2( halfW, -halfH),
+          new geom.Vec2( halfW,  halfH),
+          new geom.Vec2(-halfW,  halfH)
+        ],
+        radius: 0
+      };
+    }
+  },
+  
+  /**
+   * Adds the impulse from sliding along the other object's surface
+   */
+  _applySurfaceImpulse: {
+    value: function (physObj, collisionData) {
+      // Slide along the tangent of the contact, which is perpendicular to
+      // the direction the objects were pushed apart
+      if (collisionData.direction) {
+        var cache             = this.calculationCache;
+        var friction          = this.getCombinedFriction(physObj);
+        var edge              = {
+          x: -collisionData.direction.y,
+          y: collisionData.direction.x
+        };
+        var edgeDotVelocity   = edge.x * cache.vx + edge.y * cache.vy;
+        var parallelComponent = edgeDotVelocity * (1 - friction);
+        
+        // Multiply edge by parallel component to calculate impulse
+        edge.x *= parallelComponent;
+        edge.y *= parallelComponent;
+
+        if (physObj.fixed) {
+          this.collisionSurfaceImpulseSum._x += edge.x;
+          this.collisionSurfaceImpulseSum._y += edge.y;
+        } else {
+          this.collisionSurfaceImpulseSum._x += edge.x / this.mass;
+          this.collisionSurfaceImpulseSum._y += edge.y / this.mass;
+          physObj.collisionSurfaceImpulseSum._x -= edge.x / physObj.mass;
+          physObj.collisionSurfaceImpulseSum._y -= edge.y / physObj.mass;
+        }
+      }
+    }
+  },
+  
   /**
    * Reference: http://www.dyn4j.org/2011/11/contact-points-using-clipping/
    *
@@ -572,11 +1813,16 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
    * manifold between this object and another
    */
   findContactManifold: {
-    value: function (physObj, collisionData) {
+    value: function (
+      physObj,
+      collisionData,
+      vertices      = this.vertices,
+      otherVertices = physObj.vertices
+    ) {
       // If this or the other physics object hasn't had its vertices set up
       // from a FrameObject, it will lack prev and next attributes and cannot
       // have a collision manifold calculated for it, so fail
-      if (!this.vertices[0].prev || !physObj.vertices[0].prev) {
+      if (!vertices[0].prev || !otherVertices[0].prev) {
         return [];
       }
       
@@ -594,14 +1840,14 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
        * Calculate "best" edges for this and physObj
        */
       var bestEdge =
-          this._findContactManifoldBestEdge(separationNormal);
+          this._findContactManifoldBestEdge(separationNormal, vertices);
       
       // Flip direction for separation normal to be accurate for
       // calculating the best edge in physObj
       separationNormal.multiply(-1);
       
       var otherBestEdge = collisionData.bestEdge ||
-          physObj._findContactManifoldBestEdge(separationNormal);
+          physObj._findContactManifoldBestEdge(separationNormal, otherVertices);
       
       // Undo the flip from before
       separationNormal.multiply(-1);
@@ -630,12 +1876,12 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         ).normalize();
         
         // Clip what's past the reference edge's normal
-        var refEdgeNormal = refEdgeDirection.getOrthogonal();
+        let refEdgeNormal = refEdgeDirection.getOrthogonal();
 
         // Flip the normal to point from referenceEdge to incidentEdge
         refEdgeNormal.multiply(-1);
 
-        var maxDepth = geom.Vec2.dot(
+        let maxDepth = geom.Vec2.dot(
           refEdgeNormal,
           referenceEdge.maxProjectionVertex
         );
@@ -799,12 +2045,17 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
    * Reference: http://www.dyn4j.org/2011/11/contact-points-using-clipping/
    */
   _findContactManifoldBestEdge: {
-    value: function (separationNormal) {
-      var vertices                 = this.vertices;
+    value: function (separationNormal, vertices = this.vertices) {
       var totalVertices            = vertices.length;
       var farthestVertexProjection = 0;
       var farthestVertex           = null;
       
+      // Convex parts can be off to the side of this object's position, so
+      // their vertices are projected from the part's own center
+      var center           = this._getPolygonCenter(vertices);
+      var centerProjection =
+          center.x * separationNormal._x + center.y * separationNormal._y;
+      
       /**
        * -- STEP 1 --
        * Find vertex that's furthest inside physObj along separation
@@ -814,7 +2065,7 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         var projection = geom.Vec2.dot(
           vertices[i],
           separationNormal
-        );
+        ) - centerProjection;
         
         if (projection > farthestVertexProjection) {
           farthestVertexProjection = projection;
@@ -940,10 +2191,10 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         if (Math.abs(vx) < PhysicsObject.COLLISION_VELOCITY_SLOP) vx = 0;
         if (Math.abs(vy) < PhysicsObject.COLLISION_VELOCITY_SLOP) vy = 0;
 
-        this.velocity._x = vx
-        this.velocity._y = vy
-        this.calculationCache.vx = vx
-        this.calculationCache.vy = vy
+        this.velocity._x = vx;
+        this.velocity._y = vy;
+        this.calculationCache.vx = vx;
+        this.calculationCache.vy = vy;
 
         this.transform.position._x += dx;
         this.calculationCache.x += dx;
@@ -958,6 +2209,24 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
     }
   },
   
+  drawDebugSleeping: {
+    value: function (container = debug.getContainer()) {
+      if (!this._sleeping) {
+        return;
+      }
+      
+      container.lineStyle(1, PhysicsObject.DEBUG_SLEEP_COLOR, 1);
+      container.beginFill(PhysicsObject.DEBUG_SLEEP_COLOR, 0.25);
+      container.drawRect(
+        this.calculationCache.x - this.calculationCache.aabbHalfWidth,
+        this.calculationCache.y - this.calculationCache.aabbHalfHeight,
+        this.calculationCache.aabbWidth,
+        this.calculationCache.aabbHeight
+      );
+      container.endFill();
+    }
+  },
+  
   onOverlap: {
     value: function (physObj) {}
   },
@@ -966,6 +2235,87 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
     value: function (physObj, collisionData) {}
   },
   
+  /**
+   * Called on the first frame of a collision with another object
+   */
+  onCollisionEnter: {
+    value: function (physObj, collisionData) {}
+  },
+  
+  /**
+   * Called on every frame after the first that a collision continues
+   */
+  onCollisionStay: {
+    value: function (physObj, collisionData) {}
+  },
+  
+  /**
+   * Called on the first frame without a collision that was happening, with
+   * the last collision data
+   */
+  onCollisionExit: {
+    value: function (physObj, collisionData) {}
+  },
+  
+  onOverlapEnter: {
+    value: function (physObj) {}
+  },
+  
+  onOverlapStay: {
+    value: function (physObj) {}
+  },
+  
+  onOverlapExit: {
+    value: function (physObj) {}
+  },
+  
+  /**
+   * Calls the hook for a contact event and emits the event to listeners
+   */
+  notifyContact: {
+    value: function (event, physObj, collisionData) {
+      var Event = PhysicsObject.Event;
+      
+      switch (event) {
+        case Event.COLLISION_ENTER:
+          this.onCollisionEnter(physObj, collisionData);
+          break;
+        case Event.COLLISION_STAY:
+          this.onCollisionStay(physObj, collisionData);
+          break;
+        case Event.COLLISION_EXIT:
+          this.onCollisionExit(physObj, collisionData);
+          break;
+        case Event.OVERLAP_ENTER:
+          this.onOverlapEnter(physObj);
+          break;
+        case Event.OVERLAP_STAY:
+          this.onOverlapStay(physObj);
+          break;
+        case Event.OVERLAP_EXIT:
+          this.onOverlapExit(physObj);
+          break;
+      }
+      
+      this.emit(event, physObj, collisionData);
+    }
+  },
+  
+  /**
+   * Returns whether or not the collision categories and masks of this object
+   * and the other allow them to interact
+   */
+  checkCollisionFilter: {
+    value: function (physObj) {
+      return (this._collisionMask & physObj._collisionCategory) !== 0 &&
+             (physObj._collisionMask & this._collisionCategory) !== 0;
+    }
+  },
+  
+  /**
+   * Optional extra hook for filtering collisions, checked after the collision
+   * categories and masks
+   */
   canCollide: {
     value: function (physObj, collisionData) {
       return true;
@@ -973,23 +2323,13 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
   },
   
   /**
-   * Casts a ray to the left and right of the point to see if the polygon
-   * defined by this object's vertices contains the point.
-   * If the ray to the left and right both collide with exactly 1 edge,
-   * then this polygon contains the point
+   * Returns whether or not this object's collision shape (or polygon)
+   * contains the point. If refObj is given, the point is relative to it
    */
   containsPoint: {
     value: function (point, refObj = null) {
-      var cache             = this.calculationCache;
-      var thisX             = cache.x;
-      var thisY             = cache.y;
-      var startX            = point._x - cache.aabbWidth;
-      var stopX             = point._x + cache.aabbWidth;
-      var vertices          = this.vertices;
-      var verticesLength    = vertices.length;
-      var intersectionLeft  = 0;
-      var intersectionRight = 0;
-      var refPoint          = {
+      var cache    = this.calculationCache;
+      var refPoint = {
         x: point._x,
         y: point._y
       };
@@ -1000,6 +2340,130 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         refPoint.y += refCache.y;
       }
       
+      var shape = this.getShape();
+      if (shape) {
+        return shape.containsPoint(refPoint.x, refPoint.y, cache.x, cache.y);
+      }
+      
+      // Concave polygons contain the point if any of their parts do
+      if (this.convexParts.length > 0) {
+        for (let part of this.convexParts) {
+          if (this._convexContainsPoint(part, refPoint)) {
+            return true;
+          }
+        }
+        
+        return false;
+      }
+      
+      return this._convexContainsPoint(this.vertices, refPoint);
+    }
+  },
+  
+  /**
+   * Returns whether or not this object's collision shape (or polygon)
+   * overlaps a convex polygon given in world coordinates
+   */
+  overlapsPolygon: {
+    value: function (points) {
+      var cache = this.calculationCache;
+      var shape = this.getShape();
+      
+      if (shape) {
+        return !!collideRoundPolygon(
+          shape.getSegment(cache.x, cache.y),
+          shape.radius,
+          points,
+          0,
+          0,
+          geom.polygon.getAxes(points)
+        );
+      }
+      
+      if (this.vertices.length === 0) {
+        return GameObject.prototype.overlapsPolygon.call(this, points);
+      }
+      
+      for (let part of this._getCollisionParts()) {
+        var worldPart = [];
+        
+        for (let v of part) {
+          worldPart.push(new geom.Vec2(v._x + cache.x, v._y + cache.y));
+        }
+        
+        if (geom.polygon.overlaps(worldPart, points)) {
+          return true;
+        }
+      }
+      
+      return false;
+    }
+  },
+  
+  /**
+   * Returns whether or not this object's collision shape (or polygon)
+   * overlaps a circle
+   */
+  overlapsCircle: {
+    value: function (center, radius) {
+      var cache   = this.calculationCache;
+      var shape   = this.getShape();
+      var segment = {
+        x0: center._x,
+        y0: center._y,
+        x1: center._x,
+        y1: center._y
+      };
+      
+      if (shape) {
+        return !!collideRoundRound(
+          segment,
+          radius,
+          shape.getSegment(cache.x, cache.y),
+          shape.radius
+        );
+      }
+      
+      if (this.vertices.length === 0) {
+        return GameObject.prototype.overlapsCircle.call(this, center, radius);
+      }
+      
+      for (let part of this._getCollisionParts()) {
+        var colliding = collideRoundPolygon(
+          segment,
+          radius,
+          part,
+          cache.x,
+          cache.y,
+          geom.polygon.getAxes(part)
+        );
+        
+        if (colliding) {
+          return true;
+        }
+      }
+      
+      return false;
+    }
+  },
+  
+  /**
+   * Casts a ray to the left and right of the point to see if the convex
+   * polygon defined by the vertices contains the point.
+   * If the ray to the left and right both collide with exactly 1 edge,
+   * then this polygon contains the point
+   */
+  _convexContainsPoint: {
+    value: function (vertices, refPoint) {
+      var cache             = this.calculationCache;
+      var thisX             = cache.x;
+      var thisY             = cache.y;
+      var startX            = refPoint.x - cache.aabbWidth;
+      var stopX             = refPoint.x + cache.aabbWidth;
+      var verticesLength    = vertices.length;
+      var intersectionLeft  = 0;
+      var intersectionRight = 0;
+      
       // Optimization: Don't use Vec2 with all that overhead. Just simple objects with XY.
       // It adds some bloat, but it gets rid of a LOT of overhead.
       var q1 = {x: startX, y: refPoint.y};
@@ -1034,10 +2498,10 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
 
         // If lines are not parallel
         if (determinant_q1 !== 0) {
-          var intersectX = (a2 * c1_q1 - a1_q1 * c2) / determinant_q1;
-          var intersectY = (b1_q1 * c2 - b2 * c1_q1) / determinant_q1;
+          let intersectX = (a2 * c1_q1 - a1_q1 * c2) / determinant_q1;
+          let intersectY = (b1_q1 * c2 - b2 * c1_q1) / determinant_q1;
 
-          var intersecting = (
+          let intersecting = (
             Math.min(p1.x, p2.x) <= intersectX && intersectX <= Math.max(p1.x, p2.x) &&
             Math.min(p1.y, p2.y) <= intersectY && intersectY <= Math.max(p1.y, p2.y) &&
             Math.min(q1.x, refPoint.x) <= intersectX && intersectX <= Math.max(q1.x, refPoint.x) &&
@@ -1051,10 +2515,10 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         
         // If lines are not parallel
         if (determinant_q2 !== 0) {
-          var intersectX = (a2 * c1_q2 - a1_q2 * c2) / determinant_q2;
-          var intersectY = (b1_q2 * c2 - b2 * c1_q2) / determinant_q2;
+          let intersectX = (a2 * c1_q2 - a1_q2 * c2) / determinant_q2;
+          let intersectY = (b1_q2 * c2 - b2 * c1_q2) / determinant_q2;
 
-          var intersecting = (
+          let intersecting = (
             Math.min(p1.x, p2.x) <= intersectX && intersectX <= Math.max(p1.x, p2.x) &&
             Math.min(p1.y, p2.y) <= intersectY && intersectY <= Math.max(p1.y, p2.y) &&
             Math.min(refPoint.x, q2.x) <= intersectX && intersectX <= Math.max(refPoint.x, q2.x) &&
@@ -1067,7 +2531,6 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         }
       }
       
-      // TODO: Handle concave polygons
       return intersectionRight === 1 && intersectionLeft === 1;
     }
   },
@@ -1108,17 +2571,50 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         this.calculationCache.aabbWidth * 0.5;
       this.calculationCache.aabbHalfHeight =
         this.calculationCache.aabbHeight * 0.5;
+      
+      // Grow the AABB to fit the collision shape, if there is one
+      var shape = this.shape || this._frameShape;
+      if (shape) {
+        var bounds = shape.getBounds();
+        
+        this.calculationCache.aabbHalfWidth = Math.max(
+          this.calculationCache.aabbHalfWidth, -bounds.minX, bounds.maxX
+        );
+        this.calculationCache.aabbHalfHeight = Math.max(
+          this.calculationCache.aabbHalfHeight, -bounds.minY, bounds.maxY
+        );
+        this.calculationCache.aabbWidth  =
+          this.calculationCache.aabbHalfWidth * 2;
+        this.calculationCache.aabbHeight =
+          this.calculationCache.aabbHalfHeight * 2;
+      }
+      
+      // Bounds around the whole move this frame, used by bullets
+      var moveX = position._x - this._previousPosition._x;
+      var moveY = position._y - this._previousPosition._y;
+      
+      this.calculationCache.sweptX          = position._x - moveX * 0.5;
+      this.calculationCache.sweptY          = position._y - moveY * 0.5;
+      this.calculationCache.sweptHalfWidth  =
+        this.calculationCache.aabbHalfWidth + Math.abs(moveX) * 0.5;
+      this.calculationCache.sweptHalfHeight =
+        this.calculationCache.aabbHalfHeight + Math.abs(moveY) * 0.5;
     }
   },
   
+  /**
+   * Gets the axes to test for a convex polygon (this object's vertices by
+   * default). The axes for the vertices are cached until they change
+   */
   _satGetAxes: {
-    value: function () {
-      if (this._satAxes) {
+    value: function (vertices = this.vertices) {
+      var isOwnPolygon = vertices === this.vertices;
+      
+      if (isOwnPolygon && this._satAxes) {
         return this._satAxes;
       }
       
-      var axes     = [];
-      var vertices = this.vertices;
+      var axes = [];
       
       for (var i = 0; i < vertices.length; i++) {
         var v1        = vertices[i];
@@ -1134,15 +2630,17 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
         axes.push(normal);
       }
       
-      this._satAxes = axes;
+      if (isOwnPolygon) {
+        this._satAxes = axes;
+      }
+      
       return axes;
     }
   },
   
   _satGetProjectionOntoAxis: {
-    value: function (axis) {
+    value: function (axis, vertices = this.vertices) {
       var cache    =  this.calculationCache;
-      var vertices =  this.vertices;
       var min      =  Infinity;
       var max      = -Infinity;
       
@@ -1170,6 +2668,25 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
   
   _setSprite: {
     value: function (sprite) {
+      var collision = sprite ? this._getFrameCollision(sprite) : this.currentState;
+      
+      if (sprite) {
+        this._flipSprite(sprite);
+      }
+      
+      // Flipping swaps the vertices for mirrored ones
+      if (this._frameVertices !== collision.vertices) {
+        this._frameVertices = collision.vertices;
+        this.vertices       = collision.vertices;
+        this.convexParts    = collision.convexParts;
+        this._satAxes       = null;
+      }
+      
+      // The frame's shape can be set after the frame is added, so always
+      // keep it up to date
+      this._frameShape    = collision.shape;
+      this._frameMaterial = sprite ? sprite.material : undefined;
+
       // Don't do anything if this sprite is already added
       if (this._prevSprite === sprite) {
         return;
@@ -1179,8 +2696,6 @@ PhysicsObject.prototype = Object.freeze(Object.create(GameObject.prototype, {
       if (this._prevSprite) {
         this.removeChild(this._prevSprite);
       }
-      
-      this.vertices = this.currentState.vertices;
 
       if (sprite) {
         this.addChild(sprite);
@@ -0,0 +1,305 @@
+"use strict";
+
+// The "from" state of transitions that can be taken from any state
+const ANY_STATE = '*';
+
+/**
+ * Picks a game object's state from named parameters, so that game objects
+ * don't have to call setState() themselves. Transitions between states are
+ * taken when all of their conditions are met
+ */
+var Animator = function () {
+  this.entry        = undefined; // The state to start in, if any
+  this._parameters  = {};
+  this._transitions = [];
+  this._started     = false;
+  this._updating    = false;
+};
+
+Object.defineProperties(Animator, {
+  ANY_STATE: {
+    value: ANY_STATE
+  },
+
+  ParameterType: {
+    value: Object.freeze({
+      FLOAT:   "float",
+      BOOL:    "bool",
+      TRIGGER: "trigger"
+    })
+  },
+
+  /**
+   * Creates an animator from a plain object, such as:
+   *
+   * {
+   *   entry: "idle",
+   *   parameters: {
+   *     speed:    {type: "float", value: 0},
+   *     grounded: {type: "bool", value: true},
+   *     attack:   "trigger"
+   *   },
+   *   transitions: [
+   *     {from: "idle", to: "run", conditions: [
+   *       {parameter: "speed", operator: ">", value: 0.1}
+   *     ]},
+   *     {from: "*", to: "attack", conditions: [{parameter: "attack"}]},
+   *     {from: "attack", to: "idle", exitOnComplete: true}
+   *   ]
+   * }
+   */
+  fromJSON: {
+    value: function (json) {
+      var data     = typeof json === 'string' ? JSON.parse(json) : json;
+      var animator = new Animator();
+
+      animator.entry = data.entry;
+
+      for (let name in data.parameters || {}) {
+        var parameter = data.parameters[name];
+
+        if (typeof parameter === 'string') {
+          animator.addParameter(name, parameter);
+        } else {
+          animator.addParameter(name, parameter.type, parameter.value);
+        }
+      }
+
+      for (let transition of data.transitions || []) {
+        animator.addTransition(transition.from, transition.to, transition);
+      }
+
+      return animator;
+    }
+  }
+});
+
+Animator.prototype = Object.freeze(Object.create(Animator.prototype, {
+  addParameter: {
+    value: function (name, type, value) {
+      if (typeof type === 'undefined') {
+        type = Animator.ParameterType.FLOAT;
+      }
+
+      if (typeof value === 'undefined') {
+        value = type === Animator.ParameterType.FLOAT ? 0 : false;
+      }
+
+      this._parameters[name] = {
+        type:  type,
+        value: value
+      };
+    }
+  },
+
+  getParameter: {
+    value: function (name) {
+      var parameter = this._parameters[name];
+      return parameter ? parameter.value : undefined;
+    }
+  },
+
+  setFloat: {
+    value: function (name, value) {
+      this._setParameter(name, Animator.ParameterType.FLOAT, value);
+    }
+  },
+
+  setBool: {
+    value: function (name, value) {
+      this._setParameter(name, Animator.ParameterType.BOOL, !!value);
+    }
+  },
+
+  /**
+   * Sets a trigger, which stays set until a transition uses it
+   */
+  setTrigger: {
+    value: function (name) {
+      this._setParameter(name, Animator.ParameterType.TRIGGER, true);
+    }
+  },
+
+  resetTrigger: {
+    value: function (name) {
+      this._setParameter(name, Animator.ParameterType.TRIGGER, false);
+    }
+  },
+
+  /**
+   * Adds a transition from the state named "from" (or "*" for any state) to
+   * the state named "to".
+   *
+   * Options:
+   * - conditions:     Conditions that must all be met, as
+   *                   {parameter, operator, value}. Operators are "==", "!=",
+   *                   ">", ">=", "<" and "<=", and default to "==". Values
+   *                   default to true, for bools and triggers
+   * - exitOnComplete: If true, the transition waits until the "from" state
+   *                   has finished playing (or has looped once)
+   */
+  addTransition: {
+    value: function (from, to, options = {}) {
+      var transition = {
+        from:           from,
+        to:             to,
+        conditions:     (options.conditions || []).map((condition) => ({
+          parameter: condition.parameter,
+          operator:  condition.operator || '==',
+          value:     typeof condition.value !== 'undefined' ?
+                     condition.value : true
+        })),
+        exitOnComplete: !!options.exitOnComplete
+      };
+
+      this._transitions.push(transition);
+
+      return transition;
+    }
+  },
+
+  removeTransition: {
+    value: function (transition) {
+      var index = this._transitions.indexOf(transition);
+
+      if (index >= 0) {
+        this._transitions.splice(index, 1);
+      }
+    }
+  },
+
+  getTransitions: {
+    value: function () {
+      return this._transitions;
+    }
+  },
+
+  /**
+   * Switches the game object's state if one of the transitions from its
+   * current state can be taken. Transitions from any state are checked first,
+   * then the rest in the order they were added. Called by the game object
+   * each update
+   */
+  update: {
+    value: function (gameObject) {
+      // Switching states updates the game object, which would update the
+      // animator again
+      if (this._updating) {
+        return;
+      }
+
+      this._updating = true;
+
+      if (!this._started) {
+        this._started = true;
+
+        if (typeof this.entry !== 'undefined' &&
+            gameObject.getState(this.entry)) {
+          gameObject.setState(this.entry);
+        }
+      }
+
+      var transition = this._findTransition(gameObject);
+
+      if (transition) {
+        this._consumeTriggers(transition);
+        gameObject.setState(transition.to);
+      }
+
+      this._updating = false;
+    }
+  },
+
+  _setParameter: {
+    value: function (name, type, value) {
+      if (!this._parameters[name]) {
+        this.addParameter(name, type);
+      }
+
+      this._parameters[name].value = value;
+    }
+  },
+
+  _findTransition: {
+    value: function (gameObject) {
+      var state     = gameObject.currentState;
+      var stateName = state ? state.name : undefined;
+
+      for (let anyState of [true, false]) {
+        for (let transition of this._transitions) {
+          if ((transition.from === ANY_STATE) !== anyState) {
+            continue;
+          }
+
+          if (!anyState && transition.from !== stateName) {
+            continue;
+          }
+
+          // Transitions from any state don't start the current state over
+          if (transition.to === stateName && anyState) {
+            continue;
+          }
+
+          if (!gameObject.getState(transition.to)) {
+            continue;
+          }
+
+          if (transition.exitOnComplete &&
+              !(state && (state.finished || state.loopCount > 0))) {
+            continue;
+          }
+
+          if (this._meetsConditions(transition)) {
+            return transition;
+          }
+        }
+      }
+
+      return null;
+    }
+  },
+
+  _meetsConditions: {
+    value: function (transition) {
+      for (let condition of transition.conditions) {
+        var value    = this.getParameter(condition.parameter);
+        var expected = condition.value;
+        var met;
+
+        switch (condition.operator) {
+        case '!=': met = value !== expected; break;
+        case '>':  met = value >   expected; break;
+        case '>=': met = value >=  expected; break;
+        case '<':  met = value <   expected; break;
+        case '<=': met = value <=  expected; break;
+        default:   met = value === expected; break;
+        }
+
+        if (!met) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+  },
+
+  /**
+   * Triggers are used up by the transitions they let through
+   */
+  _consumeTriggers: {
+    value: function (transition) {
+      for (let condition of transition.conditions) {
+        var parameter = this._parameters[condition.parameter];
+
+        if (parameter && parameter.type === Animator.ParameterType.TRIGGER) {
+          parameter.value = false;
+        }
+      }
+    }
+  }
+}));
+
+Object.freeze(Animator);
+
+module.exports = Animator;
\ No newline at end of file
@@ -1,14 +1,46 @@
 "use strict";
 
-const PIXI = require('pixi.js');
+const PIXI = require('../../../pixi');
 const geom = require('../../../geom');
 
+// Link the vertices to adjacent vertices
+var linkVertices = function (vertices) {
+  var totalVertices = vertices.length;
+  for (var i = 0; i < vertices.length; i++) {
+    var prev = vertices[(totalVertices - 1 + i) % totalVertices];
+    var next = vertices[(i + 1) % totalVertices];
+    
+    vertices[i].prev  = prev;
+    vertices[i].next  = next;
+  }
+};
+
+// Mirrors the vertices across the line perpendicular to (nx, ny). Mirroring
+// flips the winding, so the order is reversed to keep it the same
+var reflectVertices = function (vertices, nx, ny) {
+  for (let vertex of vertices) {
+    vertex.reflect(nx, ny);
+  }
+  
+  vertices.reverse();
+  linkVertices(vertices);
+};
+
+// Copies the vertices, linked to each other instead of the originals
+var copyVertices = function (vertices) {
+  var copy = vertices.map((vertex) => vertex.clone());
+  
+  linkVertices(copy);
+  
+  return copy;
+};
+
 /**
  * Represents a key frame in an animation, with a duration
  */
 //var FrameObject = function (texture, duration, createBoundingBox) {
 class FrameObject extends PIXI.Sprite {
-  constructor(texture, duration, vertices) {
+  constructor(texture, duration, vertices, shape) {
     super(texture);
     
     if (isNaN(duration) || duration < 1) {
@@ -16,6 +48,13 @@ class FrameObject extends PIXI.Sprite {
     }
 
     this.duration = duration;
+    
+    // Optional circle or capsule used for collisions instead of the vertices
+    this.shape = shape;
+    
+    // Optional physics material (or registered material name) used by
+    // physics objects while this frame is shown
+    this.material = undefined;
 
     if (typeof vertices === 'undefined') {
       var w = this.width;
@@ -32,20 +71,49 @@ class FrameObject extends PIXI.Sprite {
       this.vertices = vertices;
     }
     
-    // Link the vertices to adjacent vertices
-    var vertices      = this.vertices;
-    var totalVertices = vertices.length;
-    for (var i = 0; i < vertices.length; i++) {
-      var prev = vertices[(totalVertices - 1 + i) % totalVertices];
-      var next = vertices[(i + 1) % totalVertices];
+    linkVertices(this.vertices);
+    
+    // SAT only works with convex polygons, so concave polygons are split into
+    // convex parts for collisions
+    this.convexParts = [];
+    if (!geom.polygon.isConvex(this.vertices)) {
+      this.convexParts = geom.polygon.decompose(this.vertices);
       
-      vertices[i].prev  = prev;
-      vertices[i].next  = next;
+      for (let part of this.convexParts) {
+        linkVertices(part);
+      }
     }
   
     // Center the sprite
     this.anchor.set(0.5);
   }
-};
+  
+  /**
+   * Creates copies of the collision vertices, convex parts and shape,
+   * mirrored horizontally and/or vertically. The frame itself is left as it
+   * is, since it can be shared by game objects that are flipped differently.
+   * (axisX, axisY) is the direction the vertices consider "horizontal", for
+   * vertices that have been rotated
+   */
+  createMirroredCollision(horizontal, vertical, axisX = 1, axisY = 0) {
+    var mirrored = {
+      vertices:    copyVertices(this.vertices),
+      convexParts: this.convexParts.map(copyVertices),
+      shape:       this.shape ? this.shape.clone() : undefined
+    };
+    
+    for (let vertices of [mirrored.vertices].concat(mirrored.convexParts)) {
+      if (horizontal) reflectVertices(vertices, axisX, axisY);
+      if (vertical)   reflectVertices(vertices, -axisY, axisX);
+    }
+    
+    if (mirrored.shape) {
+      if (horizontal) mirrored.shape.reflect(axisX, axisY);
+      if (vertical)   mirrored.shape.reflect(-axisY, axisX);
+    }
+    
+    return mirrored;
+  }
+}
 
 module.exports = FrameObject;
\ No newline at end of file
@@ -1,32 +1,83 @@
 "use strict";
 
+const PIXI = require('../../../pixi');
+
 /**
  * Represents a state for a game object
  */
 var GameObjectState = function (name = '') {
+    PIXI.utils.EventEmitter.call(this);
+
     this.frameObjects   = [];
     this.animationTimer = 0;
     this.frameId        = 0;
     this.name           = name;
   
     this.vertices       = [];
+    this.convexParts    = [];
+    this.shape          = undefined;
     this.sprite         = null;
+
+    // How the frames are played, and how fast (2 plays twice as fast)
+    this.mode           = GameObjectState.Mode.LOOP;
+    this.speed          = 1;
+
+    // Whether or not a state played once has reached its end, and how many
+    // times a looping state has started over
+    this.finished       = false;
+    this.loopCount      = 0;
+
+    // Which way ping-pong states are moving through the frames
+    this._direction     = 1;
+
+    // Names of the events emitted when each frame is reached, by frame id
+    this._frameEvents   = {};
 };
 
-GameObjectState.prototype = Object.freeze(Object.create(GameObjectState.prototype, {
+Object.defineProperties(GameObjectState, {
+    Mode : {
+        value : Object.freeze({
+            LOOP      : "loop",
+            ONCE      : "once",
+            PING_PONG : "pingpong",
+            REVERSE   : "reverse"
+        })
+    },
+
+    // Events emitted by states. Frame events added with addFrameEvent() are
+    // emitted with the names they were given
+    Event : {
+        value : Object.freeze({
+            FRAME    : "frame",
+            LOOP     : "loop",
+            COMPLETE : "complete"
+        })
+    }
+});
+
+GameObjectState.prototype = Object.freeze(Object.create(PIXI.utils.EventEmitter.prototype, {
     update : {
-        value : function (dt) {
-            this.animationTimer++;
-
-            // If it's time to switch to the next frame in the animation, switch!
-            if (this.animationTimer >= this.frameObjects[this.frameId].duration) {
-                this.animationTimer = 0;
-                this.frameId++;
-                this.frameId %= this.frameObjects.length;
+        value : function (dt = 1) {
+            if (this.frameObjects.length === 0) {
+                return;
+            }
+
+            if (!this.finished) {
+                this.animationTimer += dt * this.speed;
+
+                // If it's time to switch to the next frame in the animation,
+                // switch! Big steps can skip past more than one frame
+                while (!this.finished &&
+                       this.animationTimer >= this.frameObjects[this.frameId].duration) {
+                    this.animationTimer -= this.frameObjects[this.frameId].duration;
+                    this._nextFrame();
+                }
             }
-                
-            this.vertices = this.frameObjects[this.frameId].vertices;
-            this.sprite   = this.frameObjects[this.frameId];
+
+            this.vertices    = this.frameObjects[this.frameId].vertices;
+            this.convexParts = this.frameObjects[this.frameId].convexParts;
+            this.shape       = this.frameObjects[this.frameId].shape;
+            this.sprite      = this.frameObjects[this.frameId];
         }
     },
 
@@ -36,6 +87,49 @@ GameObjectState.prototype = Object.freeze(Object.create(GameObjectState.prototyp
         }
     },
 
+    /**
+     * Emits an event with the given name whenever the frames from "from" to
+     * "to" are reached (such as "footstep" on frame 3)
+     */
+    addFrameEvent : {
+        value : function (eventName, from, to = from) {
+            for (var i = from; i <= to; i++) {
+                this._frameEvents[i] = this._frameEvents[i] || [];
+                this._frameEvents[i].push(eventName);
+            }
+        }
+    },
+
+    removeFrameEvent : {
+        value : function (eventName) {
+            var isOtherEvent = (name) => name !== eventName;
+
+            for (let frameId in this._frameEvents) {
+                this._frameEvents[frameId] =
+                    this._frameEvents[frameId].filter(isOtherEvent);
+            }
+        }
+    },
+
+    /**
+     * Starts playing the state over from its first frame (or its last frame,
+     * for reversed states)
+     */
+    restart : {
+        value : function () {
+            this.finished       = false;
+            this.loopCount      = 0;
+            this._direction     = 1;
+            this.animationTimer = 0;
+
+            if (this.mode === GameObjectState.Mode.REVERSE) {
+                this._enterFrame(Math.max(0, this.frameObjects.length - 1));
+            } else {
+                this._enterFrame(0);
+            }
+        }
+    },
+
     getCurrentFrame : {
         value : function () {
             var frameCounter = 0;
@@ -56,6 +150,8 @@ GameObjectState.prototype = Object.freeze(Object.create(GameObjectState.prototyp
         value : function (frame) {
             var frameCounter = 0;
 
+            this.finished = false;
+
             for (var i = 0; i < this.frameObjects.length; i++) {
                 var curFrame = this.frameObjects[i];
                 frameCounter += curFrame.duration;
@@ -72,6 +168,93 @@ GameObjectState.prototype = Object.freeze(Object.create(GameObjectState.prototyp
             this.frameId = 0;
             this.animationTimer = 0;
         }
+    },
+
+    /**
+     * Moves on to the next frame to be played based on the mode
+     */
+    _nextFrame : {
+        value : function () {
+            var Mode      = GameObjectState.Mode;
+            var lastFrame = this.frameObjects.length - 1;
+
+            switch (this.mode) {
+            case Mode.ONCE:
+                if (this.frameId >= lastFrame) {
+                    this._finish();
+                } else {
+                    this._enterFrame(this.frameId + 1);
+                }
+                break;
+
+            case Mode.REVERSE:
+                if (this.frameId <= 0) {
+                    this._loop(lastFrame);
+                } else {
+                    this._enterFrame(this.frameId - 1);
+                }
+                break;
+
+            case Mode.PING_PONG:
+                if (lastFrame === 0) {
+                    this._loop(0);
+                    break;
+                }
+
+                // Turn around at either end. Coming back to the first frame
+                // finishes one loop
+                if (this.frameId + this._direction > lastFrame ||
+                    this.frameId + this._direction < 0) {
+                    this._direction *= -1;
+                }
+
+                if (this.frameId + this._direction === 0) {
+                    this._loop(0);
+                } else {
+                    this._enterFrame(this.frameId + this._direction);
+                }
+                break;
+
+            default:
+                if (this.frameId >= lastFrame) {
+                    this._loop(0);
+                } else {
+                    this._enterFrame(this.frameId + 1);
+                }
+                break;
+            }
+        }
+    },
+
+    _enterFrame : {
+        value : function (frameId) {
+            this.frameId = frameId;
+
+            this.emit(GameObjectState.Event.FRAME, frameId, this);
+
+            for (let eventName of this._frameEvents[frameId] || []) {
+                this.emit(eventName, frameId, this);
+            }
+        }
+    },
+
+    _loop : {
+        value : function (frameId) {
+            this.loopCount++;
+            this.emit(GameObjectState.Event.LOOP, this.loopCount, this);
+            this._enterFrame(frameId);
+        }
+    },
+
+    /**
+     * Stops on the last frame and lets listeners know that the state is done
+     */
+    _finish : {
+        value : function () {
+            this.finished       = true;
+            this.animationTimer = 0;
+            this.emit(GameObjectState.Event.COMPLETE, this);
+        }
     }
 }));
 
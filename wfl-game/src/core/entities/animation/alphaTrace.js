@@ -0,0 +1,219 @@
+"use strict";
+
+const geom = require('../../../geom');
+
+// Vertices already traced for each texture, keyed by the options used
+var cache = new WeakMap();
+
+// What kind of vertices are traced
+const Result = Object.freeze({
+  // The convex hull around the outline
+  HULL:    "hull",
+
+  // The outline itself. FrameObjects split concave outlines into convex parts
+  OUTLINE: "outline"
+});
+
+const DEFAULT_OPTIONS = {
+  threshold: 128,         // Alpha (0 to 255) that counts as solid
+  tolerance: 1,           // How far (in pixels) the outline can be simplified
+  result:    Result.HULL
+};
+
+// Marching squares steps, indexed by which of the 4 pixels around a corner
+// are solid (1: up left, 2: up right, 4: down left, 8: down right)
+const UP    = {x:  0, y: -1};
+const DOWN  = {x:  0, y:  1};
+const LEFT  = {x: -1, y:  0};
+const RIGHT = {x:  1, y:  0};
+const STEPS = [
+  null, UP, RIGHT, RIGHT, LEFT, UP, null, RIGHT,
+  DOWN, null, DOWN, DOWN, LEFT, UP, LEFT, null
+];
+
+/**
+ * Traces the outline around the first solid shape found in the alpha values
+ * (scanning from the top left) with marching squares. Returns the corners of
+ * the outline, in pixels
+ */
+var traceOutline = function (alpha, width, height, threshold) {
+  var isSolid = (x, y) =>
+    x >= 0 && y >= 0 && x < width && y < height &&
+    alpha[y * width + x] >= threshold;
+
+  var start = -1;
+
+  for (var i = 0; i < width * height && start < 0; i++) {
+    if (alpha[i] >= threshold) {
+      start = i;
+    }
+  }
+
+  if (start < 0) {
+    return [];
+  }
+
+  var startX   = start % width;
+  var startY   = Math.floor(start / width);
+  var x        = startX;
+  var y        = startY;
+  var previous = null;
+  var points   = [];
+  var maxSteps = (width + 1) * (height + 1) * 2;
+
+  do {
+    var index =
+      (isSolid(x - 1, y - 1) ? 1 : 0) +
+      (isSolid(x,     y - 1) ? 2 : 0) +
+      (isSolid(x - 1, y)     ? 4 : 0) +
+      (isSolid(x,     y)     ? 8 : 0);
+    var step  = STEPS[index];
+
+    // Diagonal corners keep going around the same shape
+    if (index === 6) {
+      step = previous === UP ? LEFT : RIGHT;
+    } else if (index === 9) {
+      step = previous === RIGHT ? UP : DOWN;
+    }
+
+    // Only corners of the outline are needed
+    if (step !== previous) {
+      points.push(new geom.Vec2(x, y));
+    }
+
+    previous = step;
+    x       += step.x;
+    y       += step.y;
+    maxSteps--;
+  } while ((x !== startX || y !== startY) && maxSteps > 0);
+
+  return points;
+};
+
+/**
+ * Traces collision vertices from alpha values (0 to 255, one per pixel, row
+ * by row). The vertices are centered on the middle of the image, the same way
+ * FrameObjects are. Returns undefined if nothing is solid
+ *
+ * Options:
+ * - threshold: Alpha (0 to 255) that counts as solid
+ * - tolerance: How far (in pixels) the outline can be simplified
+ * - result:    alphaTrace.Result.HULL or alphaTrace.Result.OUTLINE
+ */
+var trace = function (alpha, width, height, options = {}) {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  var outline = traceOutline(alpha, width, height, options.threshold);
+
+  if (outline.length < 3) {
+    return undefined;
+  }
+
+  if (options.result === Result.HULL) {
+    outline = geom.polygon.convexHull(outline);
+  }
+
+  var vertices = geom.polygon.simplify(outline, options.tolerance);
+
+  // Shapes thinner than the tolerance would be simplified down to a line
+  if (vertices.length < 3) {
+    vertices = geom.polygon.simplify(outline, 0);
+  }
+
+  // Match the winding of FrameObject's default vertices
+  if (geom.polygon.signedArea(vertices) < 0) {
+    vertices.reverse();
+  }
+
+  for (let v of vertices) {
+    v._x -= width  * 0.5;
+    v._y -= height * 0.5;
+  }
+
+  return vertices;
+};
+
+/**
+ * Gets the alpha values of a texture's (untrimmed) image, or null if its
+ * image hasn't loaded or can't be read
+ */
+var getAlpha = function (texture) {
+  var baseTexture = texture.baseTexture;
+
+  // Rotated atlas frames aren't supported
+  if (!baseTexture || !baseTexture.hasLoaded || !baseTexture.source ||
+      texture.rotate) {
+    return null;
+  }
+
+  var frame   = texture.frame;
+  var orig    = texture.orig || frame;
+  var trim    = texture.trim;
+  var canvas  = document.createElement('canvas');
+  var context = canvas.getContext('2d');
+
+  canvas.width  = orig.width;
+  canvas.height = orig.height;
+
+  context.drawImage(
+    baseTexture.source,
+    frame.x, frame.y, frame.width, frame.height,
+    trim ? trim.x : 0, trim ? trim.y : 0, frame.width, frame.height
+  );
+
+  var pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+  var alpha  = new Uint8Array(canvas.width * canvas.height);
+
+  for (var i = 0; i < alpha.length; i++) {
+    alpha[i] = pixels[i * 4 + 3];
+  }
+
+  return alpha;
+};
+
+/**
+ * Traces collision vertices from a texture's alpha channel (see trace() for
+ * the options). The result is cached for each texture, so tracing the same
+ * texture again is free. Returns undefined if the texture can't be traced
+ * (yet), so that FrameObjects fall back to their bounding box
+ */
+var fromTexture = function (texture, options = {}) {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  var key     = options.threshold + "|" + options.tolerance + "|" + options.result;
+  var results = cache.get(texture);
+
+  if (!results) {
+    results = {};
+    cache.set(texture, results);
+  }
+
+  if (!(key in results)) {
+    var alpha = getAlpha(texture);
+
+    // Try again later if the texture isn't ready
+    if (!alpha) {
+      return undefined;
+    }
+
+    results[key] = trace(alpha, texture.orig.width, texture.orig.height, options);
+  }
+
+  // FrameObjects link up the vertices they're given, so each gets a copy
+  var vertices = results[key];
+  return vertices && vertices.map((v) => new geom.Vec2(v._x, v._y));
+};
+
+/**
+ * Forgets the vertices traced for a texture (such as after its image changes)
+ */
+var clearCache = function (texture) {
+  cache.delete(texture);
+};
+
+module.exports = {
+  Result      : Result,
+  trace       : trace,
+  fromTexture : fromTexture,
+  clearCache  : clearCache
+};
\ No newline at end of file
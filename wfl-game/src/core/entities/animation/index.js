@@ -1,9 +1,15 @@
 "use strict";
 
+var alphaTrace = require('./alphaTrace.js');
+var Animator = require('./Animator.js');
 var FrameObject = require('./FrameObject.js');
 var GameObjectState = require('./GameObjectState.js');
+var spriteSheets = require('./spriteSheets.js');
 
 module.exports = {
+    alphaTrace      : alphaTrace,
+    Animator        : Animator,
     FrameObject     : FrameObject,
-    GameObjectState : GameObjectState
+    GameObjectState : GameObjectState,
+    spriteSheets    : spriteSheets
 };
\ No newline at end of file
@@ -0,0 +1,283 @@
+"use strict";
+
+const PIXI = require('../../../pixi');
+const geom = require('../../../geom');
+const FrameObject = require('./FrameObject.js');
+const GameObjectState = require('./GameObjectState.js');
+
+// Used for frames that don't have a duration in the file (100ms, the same as
+// Aseprite's default)
+const DEFAULT_DURATION = 6;
+
+/**
+ * Converts a duration in milliseconds (as frame durations in files are given)
+ * to ticks, of which there are Game.BASE_FRAME_RATE per second
+ */
+var toTicks = function (ms) {
+  // Game (indirectly) requires this module, so it's only required once used
+  const Game = require('../../Game.js');
+
+  return Math.max(1, Math.round(ms * Game.BASE_FRAME_RATE / 1000));
+};
+
+/**
+ * Gets the base texture for a texture, base texture, image, or image path
+ */
+var getBaseTexture = function (source) {
+  if (typeof source === 'string') {
+    return PIXI.BaseTexture.fromImage(source);
+  }
+
+  if (source instanceof PIXI.Texture) {
+    return source.baseTexture;
+  }
+
+  if (source instanceof PIXI.BaseTexture) {
+    return source;
+  }
+
+  return new PIXI.BaseTexture(source);
+};
+
+/**
+ * Gets a sheet's frames as a list of {name, data} pairs. Frames can be saved
+ * as a hash of names to frames, or as an array of frames with filenames
+ */
+var getFrameList = function (frames = {}) {
+  if (Array.isArray(frames)) {
+    return frames.map((data, i) => ({
+      name: typeof data.filename !== 'undefined' ? data.filename : String(i),
+      data: data
+    }));
+  }
+
+  return Object.keys(frames).map((name) => ({
+    name: name,
+    data: frames[name]
+  }));
+};
+
+/**
+ * Gets the name of the animation a frame belongs to from its name, so that
+ * "walk_01.png" and "walk_02.png" both belong to "walk"
+ */
+var getAnimationName = function (frameName) {
+  var name = frameName
+    .replace(/\.[^.\/]*$/, '')
+    .replace(/[\s_\-.]*\d+$/, '');
+
+  return name || frameName;
+};
+
+/**
+ * Creates the texture for a frame's region of the sheet, the same way that
+ * PIXI's Spritesheet does
+ */
+var createTexture = function (baseTexture, data) {
+  var rect       = data.frame;
+  var sourceSize = data.trimmed !== false && data.sourceSize ?
+    data.sourceSize : rect;
+  var orig       = new PIXI.Rectangle(0, 0, sourceSize.w, sourceSize.h);
+  var trim       = null;
+  var frame;
+
+  // Rotated frames are stored turned 90 degrees clockwise in the sheet
+  if (data.rotated) {
+    frame = new PIXI.Rectangle(rect.x, rect.y, rect.h, rect.w);
+  } else {
+    frame = new PIXI.Rectangle(rect.x, rect.y, rect.w, rect.h);
+  }
+
+  if (data.trimmed !== false && data.spriteSourceSize) {
+    trim = new PIXI.Rectangle(
+      data.spriteSourceSize.x,
+      data.spriteSourceSize.y,
+      rect.w,
+      rect.h
+    );
+  }
+
+  return new PIXI.Texture(baseTexture, frame, orig, trim, data.rotated ? 2 : 0);
+};
+
+/**
+ * Creates collision vertices for a frame from points relative to the top
+ * left of its (untrimmed) source image. Points can be {x, y} objects or
+ * [x, y] pairs. Returns undefined if there are no points so that the frame
+ * uses its bounding box
+ */
+var createVertices = function (points, data) {
+  if (!points || points.length < 3) {
+    return undefined;
+  }
+
+  var sourceSize = data.sourceSize || data.frame;
+  var halfWidth  = sourceSize.w * 0.5;
+  var halfHeight = sourceSize.h * 0.5;
+
+  // Frames are centered on their position
+  return points.map((point) => {
+    var x = Array.isArray(point) ? point[0] : point.x;
+    var y = Array.isArray(point) ? point[1] : point.y;
+
+    return new geom.Vec2(x - halfWidth, y - halfHeight);
+  });
+};
+
+/**
+ * Creates a FrameObject for a frame in a sheet. Durations in the file are
+ * used if they're there
+ */
+var createFrame = function (baseTexture, frame, meta, defaultDuration) {
+  var data     = frame.data;
+  var vertices = data.vertices || (meta.vertices && meta.vertices[frame.name]);
+  var duration = typeof data.duration === 'number' ?
+    toTicks(data.duration) : defaultDuration;
+
+  return new FrameObject(
+    createTexture(baseTexture, data),
+    duration,
+    createVertices(vertices, data)
+  );
+};
+
+/**
+ * Creates a state named name from the frames, in order
+ */
+var createState = function (name, frames, baseTexture, meta, defaultDuration) {
+  var state = new GameObjectState(name);
+
+  for (let frame of frames) {
+    state.addFrame(createFrame(baseTexture, frame, meta, defaultDuration));
+  }
+
+  return state;
+};
+
+/**
+ * Creates GameObjectStates from a TexturePacker (or PIXI) JSON atlas, and
+ * returns them in an object keyed by state name. The states come from the
+ * atlas's "animations" if it has them. Otherwise, frames are grouped by their
+ * names without their numbers ("walk_01.png" and "walk_02.png" become the
+ * "walk" state)
+ *
+ * texture can be the atlas's texture, base texture, image, or image path.
+ *
+ * Options:
+ * - duration: Duration (in ticks) for frames that don't have one in the file
+ */
+var fromAtlas = function (data, texture, options = {}) {
+  var baseTexture     = getBaseTexture(texture);
+  var meta            = data.meta || {};
+  var defaultDuration = options.duration || DEFAULT_DURATION;
+  var frames          = getFrameList(data.frames);
+  var framesByName    = {};
+  var groups          = {};
+  var states          = {};
+
+  for (let frame of frames) {
+    framesByName[frame.name] = frame;
+  }
+
+  if (data.animations || meta.animations) {
+    var animations = data.animations || meta.animations;
+
+    for (let name in animations) {
+      groups[name] = [];
+
+      for (let frameName of animations[name]) {
+        if (framesByName[frameName]) {
+          groups[name].push(framesByName[frameName]);
+        }
+      }
+    }
+  } else {
+    for (let frame of frames) {
+      var animationName = getAnimationName(frame.name);
+
+      groups[animationName] = groups[animationName] || [];
+      groups[animationName].push(frame);
+    }
+  }
+
+  for (let name in groups) {
+    states[name] = createState(
+      name, groups[name], baseTexture, meta, defaultDuration
+    );
+  }
+
+  return states;
+};
+
+/**
+ * Creates GameObjectStates from an Aseprite JSON export, and returns them in
+ * an object keyed by state name. Each tag becomes a state, played in the
+ * tag's direction. A sheet without tags becomes a single state with all of
+ * its frames, named options.name (or "default")
+ *
+ * texture can be the sheet's texture, base texture, image, or image path.
+ *
+ * Options:
+ * - name:     Name of the state for sheets without tags
+ * - duration: Duration (in ticks) for frames that don't have one in the file
+ */
+var fromAseprite = function (data, texture, options = {}) {
+  var baseTexture     = getBaseTexture(texture);
+  var meta            = data.meta || {};
+  var defaultDuration = options.duration || DEFAULT_DURATION;
+  var frames          = getFrameList(data.frames);
+  var tags            = meta.frameTags || [];
+  var states          = {};
+
+  if (tags.length === 0) {
+    var name = options.name || 'default';
+
+    states[name] = createState(
+      name, frames, baseTexture, meta, defaultDuration
+    );
+
+    return states;
+  }
+
+  for (let tag of tags) {
+    var state = createState(
+      tag.name,
+      frames.slice(tag.from, tag.to + 1),
+      baseTexture,
+      meta,
+      defaultDuration
+    );
+
+    if (tag.direction === 'reverse') {
+      state.mode = GameObjectState.Mode.REVERSE;
+    } else if (tag.direction === 'pingpong') {
+      state.mode = GameObjectState.Mode.PING_PONG;
+    }
+
+    states[tag.name] = state;
+  }
+
+  return states;
+};
+
+/**
+ * Creates GameObjectStates from either kind of sheet, deciding which kind it
+ * is from its contents
+ */
+var load = function (data, texture, options = {}) {
+  var meta = data.meta || {};
+
+  if (meta.frameTags || /aseprite/i.test(meta.app || '')) {
+    return fromAseprite(data, texture, options);
+  }
+
+  return fromAtlas(data, texture, options);
+};
+
+module.exports = {
+  DEFAULT_DURATION : DEFAULT_DURATION,
+  toTicks          : toTicks,
+  fromAtlas        : fromAtlas,
+  fromAseprite     : fromAseprite,
+  load             : load
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+"use strict";
+
+// Bit flags can only use 32 bits since bitwise operators work on 32-bit ints
+const MAX_GROUPS = 32;
+
+// Matches no groups
+const NONE = 0;
+
+// Matches every group
+const ALL = 0xFFFFFFFF;
+
+// The group that physics objects belong to until told otherwise
+const DEFAULT = 1;
+
+var groups = {
+  default: DEFAULT
+};
+var totalGroups = 1;
+
+/**
+ * Registers a named collision group (such as "player" or "wall") and returns
+ * its bit flag. Registering a name twice returns the same flag
+ */
+var register = function (name) {
+  if (typeof groups[name] !== 'undefined') {
+    return groups[name];
+  }
+
+  if (totalGroups >= MAX_GROUPS) {
+    console.error("Cannot register more than " + MAX_GROUPS + " collision groups: " + name);
+    return NONE;
+  }
+
+  groups[name] = (1 << totalGroups) >>> 0;
+  totalGroups++;
+
+  return groups[name];
+};
+
+/**
+ * Gets the bit flag for a named collision group, registering the group if it
+ * doesn't exist yet
+ */
+var get = function (name) {
+  return register(name);
+};
+
+/**
+ * Combines group names, bit flags, or an array of either into one bit mask
+ */
+var mask = function (groupList) {
+  var bits = NONE;
+
+  for (let group of [].concat(groupList)) {
+    if (typeof group === 'number') {
+      bits |= group;
+    } else if (typeof group === 'string') {
+      bits |= get(group);
+    }
+  }
+
+  return bits >>> 0;
+};
+
+/**
+ * Gets the names of all groups in the bit mask
+ */
+var getNames = function (bits) {
+  var names = [];
+
+  for (let name in groups) {
+    if ((bits & groups[name]) !== 0) {
+      names.push(name);
+    }
+  }
+
+  return names;
+};
+
+module.exports = {
+  NONE     : NONE,
+  ALL      : ALL,
+  DEFAULT  : DEFAULT,
+  register : register,
+  get      : get,
+  mask     : mask,
+  getNames : getNames
+};
\ No newline at end of file
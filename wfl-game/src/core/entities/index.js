@@ -1,13 +1,17 @@
 "use strict";
 
 var animation = require('./animation');
+var collisionGroups = require('./collisionGroups.js');
 var GameObject = require('./GameObject.js');
+var PhysicsMaterial = require('./PhysicsMaterial.js');
 var PhysicsObject = require('./PhysicsObject.js');
 var LivingObject = require('./LivingObject.js');
 
 module.exports = {
-    animation     : animation,
-    GameObject    : GameObject,
-    PhysicsObject : PhysicsObject,
-    LivingObject  : LivingObject
+    animation       : animation,
+    collisionGroups : collisionGroups,
+    GameObject      : GameObject,
+    PhysicsMaterial : PhysicsMaterial,
+    PhysicsObject   : PhysicsObject,
+    LivingObject    : LivingObject
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+"use strict";
+
+const geom       = require('../../geom');
+const ForceField = require('./ForceField.js');
+
+/**
+ * A body of liquid whose surface is the top of its bounds. Physics objects
+ * are pushed against gravity by how much of them is under the surface, and
+ * slowed down by the liquid's drag. A density of 1 exactly cancels gravity
+ * for a fully submerged object; more makes it float up
+ */
+var BuoyancyField = function (bounds, density = BuoyancyField.DEFAULT_DENSITY, drag = BuoyancyField.DEFAULT_DRAG) {
+  ForceField.call(this, bounds);
+
+  this.density = density;
+  this.drag    = drag; // Portion of velocity lost per frame when submerged
+};
+
+Object.defineProperties(BuoyancyField, {
+  DEFAULT_DENSITY : {
+    value : 1.5
+  },
+
+  DEFAULT_DRAG : {
+    value : 0.05
+  }
+});
+
+BuoyancyField.prototype = Object.freeze(Object.create(ForceField.prototype, {
+  /**
+   * Objects only need to touch the liquid, not have their position in it
+   */
+  affects: {
+    value: function (obj) {
+      var bounds = this.getBounds();
+      var x      = obj.transform.position._x;
+
+      return this._canPush(obj) &&
+             x >= bounds.minX && x <= bounds.maxX &&
+             this._getSubmergedFraction(obj) > 0;
+    }
+  },
+
+  apply: {
+    value: function (physObj) {
+      var fraction = this._getSubmergedFraction(physObj);
+      var gravity  = this.scene ? this.scene.gravity : null;
+      var force    = new geom.Vec2();
+
+      if (fraction === 0) {
+        return;
+      }
+
+      if (gravity) {
+        var lift = this.density * fraction * physObj.gravityScale * physObj.mass;
+        force._x -= gravity._x * lift;
+        force._y -= gravity._y * lift;
+      }
+
+      var drag = this.drag * fraction * physObj.mass;
+      force._x -= physObj.velocity._x * drag;
+      force._y -= physObj.velocity._y * drag;
+
+      physObj.addExternalForce(force);
+    }
+  },
+
+  /**
+   * Gets how much of the physics object's height is under the surface, from
+   * 0 to 1. Like affects(), this goes by the object's position, since its
+   * calculation cache is only brought up to date after it updates
+   */
+  _getSubmergedFraction: {
+    value: function (physObj) {
+      var position   = physObj.transform.position;
+      var halfHeight = physObj.calculationCache.aabbHalfHeight;
+      var bounds     = this.getBounds();
+      var top        = position._y - halfHeight;
+      var bottom     = position._y + halfHeight;
+      var height     = bottom - top;
+
+      if (height <= 0) {
+        return this.containsPoint(position._x, position._y) ? 1 : 0;
+      }
+
+      var submerged = Math.min(bottom, bounds.maxY) - Math.max(top, bounds.minY);
+
+      return Math.max(0, Math.min(1, submerged / height));
+    }
+  }
+}));
+
+Object.freeze(BuoyancyField);
+
+module.exports = BuoyancyField;
\ No newline at end of file
@@ -0,0 +1,79 @@
+"use strict";
+
+const PhysicsObject   = require('../entities/PhysicsObject.js');
+const collisionGroups = require('../entities/collisionGroups.js');
+
+/**
+ * A region that pushes the physics objects inside it every frame. Bounds are
+ * given as {x, y, width, height}, where (x, y) is the top left corner
+ */
+var ForceField = function (bounds) {
+  this.bounds  = {
+    x:      bounds.x,
+    y:      bounds.y,
+    width:  bounds.width,
+    height: bounds.height
+  };
+  this.enabled = true;
+  this.scene   = undefined;
+
+  // Collision groups of the objects that this field pushes
+  this.affectedGroups = collisionGroups.ALL;
+};
+
+ForceField.prototype = Object.freeze(Object.create(ForceField.prototype, {
+  getBounds: {
+    value: function () {
+      return {
+        minX: this.bounds.x,
+        minY: this.bounds.y,
+        maxX: this.bounds.x + this.bounds.width,
+        maxY: this.bounds.y + this.bounds.height
+      };
+    }
+  },
+
+  containsPoint: {
+    value: function (x, y) {
+      var bounds = this.getBounds();
+
+      return x >= bounds.minX && x <= bounds.maxX &&
+             y >= bounds.minY && y <= bounds.maxY;
+    }
+  },
+
+  /**
+   * Returns whether or not the game object is pushed by this field. Only
+   * physics objects whose position is inside the field are pushed
+   */
+  affects: {
+    value: function (obj) {
+      return this._canPush(obj) &&
+             this.containsPoint(obj.transform.position._x, obj.transform.position._y);
+    }
+  },
+
+  /**
+   * Adds this field's force to a physics object for this frame
+   */
+  apply: {
+    value: function (physObj) {
+    }
+  },
+
+  /**
+   * Returns whether or not the game object can be pushed by this field,
+   * wherever it is
+   */
+  _canPush: {
+    value: function (obj) {
+      return obj instanceof PhysicsObject &&
+             !obj.fixed &&
+             (obj.collisionCategory & this.affectedGroups) !== 0;
+    }
+  }
+}));
+
+Object.freeze(ForceField);
+
+module.exports = ForceField;
\ No newline at end of file
@@ -0,0 +1,81 @@
+"use strict";
+
+const geom       = require('../../geom');
+const ForceField = require('./ForceField.js');
+
+/**
+ * Pulls physics objects within a radius towards a point, like a black hole or
+ * magnet. The pull is strongest at the point and fades out to nothing at the
+ * radius. A negative strength pushes objects away instead
+ */
+var PointAttractor = function (position, radius, strength = PointAttractor.DEFAULT_STRENGTH) {
+  ForceField.call(this, {
+    x:      position._x - radius,
+    y:      position._y - radius,
+    width:  radius * 2,
+    height: radius * 2
+  });
+
+  this.position = position.clone();
+  this.radius   = radius;
+  this.strength = strength; // Acceleration at the point
+
+  // Whether or not heavier objects are pulled as strongly as lighter ones,
+  // like with gravity
+  this.ignoreMass = true;
+};
+
+Object.defineProperties(PointAttractor, {
+  DEFAULT_STRENGTH : {
+    value : 0.5
+  }
+});
+
+PointAttractor.prototype = Object.freeze(Object.create(ForceField.prototype, {
+  getBounds: {
+    value: function () {
+      return {
+        minX: this.position._x - this.radius,
+        minY: this.position._y - this.radius,
+        maxX: this.position._x + this.radius,
+        maxY: this.position._y + this.radius
+      };
+    }
+  },
+
+  containsPoint: {
+    value: function (x, y) {
+      var dx = x - this.position._x;
+      var dy = y - this.position._y;
+
+      return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+  },
+
+  apply: {
+    value: function (physObj) {
+      var dx       = this.position._x - physObj.transform.position._x;
+      var dy       = this.position._y - physObj.transform.position._y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance === 0) {
+        return;
+      }
+
+      var magnitude = this.strength * (1 - distance / this.radius);
+
+      if (this.ignoreMass) {
+        magnitude *= physObj.mass;
+      }
+
+      physObj.addExternalForce(new geom.Vec2(
+        dx / distance * magnitude,
+        dy / distance * magnitude
+      ));
+    }
+  }
+}));
+
+Object.freeze(PointAttractor);
+
+module.exports = PointAttractor;
\ No newline at end of file
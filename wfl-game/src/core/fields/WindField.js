@@ -0,0 +1,26 @@
+"use strict";
+
+const geom       = require('../../geom');
+const ForceField = require('./ForceField.js');
+
+/**
+ * Pushes physics objects with a constant force, so lighter objects are blown
+ * around more than heavier ones
+ */
+var WindField = function (bounds, force = new geom.Vec2()) {
+  ForceField.call(this, bounds);
+
+  this.force = force;
+};
+
+WindField.prototype = Object.freeze(Object.create(ForceField.prototype, {
+  apply: {
+    value: function (physObj) {
+      physObj.addExternalForce(this.force);
+    }
+  }
+}));
+
+Object.freeze(WindField);
+
+module.exports = WindField;
\ No newline at end of file
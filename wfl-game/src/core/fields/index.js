@@ -0,0 +1,13 @@
+"use strict";
+
+var ForceField = require('./ForceField.js');
+var WindField = require('./WindField.js');
+var BuoyancyField = require('./BuoyancyField.js');
+var PointAttractor = require('./PointAttractor.js');
+
+module.exports = {
+    ForceField     : ForceField,
+    WindField      : WindField,
+    BuoyancyField  : BuoyancyField,
+    PointAttractor : PointAttractor
+};
\ No newline at end of file
@@ -1,9 +1,13 @@
 "use strict";
 
 var entities = require('./entities');
+var joints = require('./joints');
+var fields = require('./fields');
 var Game = require('./Game.js');
 
 module.exports = {
     entities : entities,
+    joints   : joints,
+    fields   : fields,
     Game     : Game
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+"use strict";
+
+const Joint = require('./Joint.js');
+
+/**
+ * Keeps the anchors of two objects a set distance apart, like a rigid rod. If
+ * no length is given, the current distance between the anchors is used
+ */
+var DistanceJoint = function (objA, objB, anchorA, anchorB, length) {
+  Joint.call(this, objA, objB, anchorA, anchorB);
+
+  if (typeof length === 'undefined') {
+    var a = this.getAnchorA();
+    var b = this.getAnchorB();
+    length = Math.sqrt(
+      (b._x - a._x) * (b._x - a._x) + (b._y - a._y) * (b._y - a._y)
+    );
+  }
+
+  this.length = length;
+};
+
+DistanceJoint.prototype = Object.freeze(Object.create(Joint.prototype, {
+  solve: {
+    value: function (dt) {
+      var anchorA  = this.getAnchorA();
+      var anchorB  = this.getAnchorB();
+      var dx       = anchorB._x - anchorA._x;
+      var dy       = anchorB._y - anchorA._y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance === 0) {
+        return;
+      }
+
+      var nx = dx / distance;
+      var ny = dy / distance;
+
+      this._correctPosition(nx, ny, distance - this.length);
+      this._correctVelocity(nx, ny);
+    }
+  }
+}));
+
+Object.freeze(DistanceJoint);
+
+module.exports = DistanceJoint;
\ No newline at end of file
@@ -0,0 +1,280 @@
+"use strict";
+
+const geom          = require('../../geom');
+const PhysicsObject = require('../entities/PhysicsObject.js');
+
+/**
+ * A constraint between two physics objects, solved by the scene alongside
+ * collisions. Anchors are offsets from each object's position and turn with
+ * the object. If objB is null, objA is attached to the world and anchorB is a
+ * point in the world instead
+ */
+var Joint = function (objA, objB = null, anchorA = new geom.Vec2(), anchorB = new geom.Vec2()) {
+  this.objA  = objA;
+  this.objB  = objB;
+  this.scene = undefined;
+
+  // Whether or not the two objects still collide with each other. Only read
+  // when the joint is added to a scene
+  this.collideConnected = false;
+
+  this._localAnchorA       = anchorA.clone();
+  this._localAnchorB       = anchorB.clone();
+  this._referenceRotationA = objA.transform.rotation;
+  this._referenceRotationB = objB ? objB.transform.rotation : 0;
+};
+
+Object.defineProperties(Joint, {
+  DEBUG_COLOR : {
+    value : 0xBBFFBB
+  },
+
+  DEBUG_ANCHOR_RADIUS : {
+    value : 2
+  }
+});
+
+Joint.prototype = Object.freeze(Object.create(Joint.prototype, {
+  /**
+   * Gets anchorA in world coordinates
+   */
+  getAnchorA: {
+    value: function () {
+      return this._getWorldAnchor(
+        this.objA, this._localAnchorA, this._referenceRotationA
+      );
+    }
+  },
+
+  /**
+   * Gets anchorB in world coordinates
+   */
+  getAnchorB: {
+    value: function () {
+      if (!this.objB) {
+        return this._localAnchorB.clone();
+      }
+
+      return this._getWorldAnchor(
+        this.objB, this._localAnchorB, this._referenceRotationB
+      );
+    }
+  },
+
+  /**
+   * Called once per frame before the collision iterations
+   */
+  preSolve: {
+    value: function (dt) {
+    }
+  },
+
+  /**
+   * Called once per collision iteration to move the objects back towards
+   * satisfying the joint
+   */
+  solve: {
+    value: function (dt) {
+    }
+  },
+
+  drawDebug: {
+    value: function (container) {
+      var anchorA = this.getAnchorA();
+      var anchorB = this.getAnchorB();
+
+      container.lineStyle(1, Joint.DEBUG_COLOR, 1);
+      container.moveTo(this.objA.transform.position._x, this.objA.transform.position._y);
+      container.lineTo(anchorA._x, anchorA._y);
+      container.lineTo(anchorB._x, anchorB._y);
+
+      if (this.objB) {
+        container.lineTo(this.objB.transform.position._x, this.objB.transform.position._y);
+      }
+
+      container.drawCircle(anchorA._x, anchorA._y, Joint.DEBUG_ANCHOR_RADIUS);
+      container.drawCircle(anchorB._x, anchorB._y, Joint.DEBUG_ANCHOR_RADIUS);
+    }
+  },
+
+  _getWorldAnchor: {
+    value: function (obj, localAnchor, referenceRotation) {
+      var anchor = localAnchor.clone();
+
+      if (anchor._x !== 0 || anchor._y !== 0) {
+        anchor.rotate(obj.transform.rotation - referenceRotation);
+      }
+
+      return anchor.add(obj.transform.position);
+    }
+  },
+
+  _getInverseMass: {
+    value: function (obj) {
+      if (!obj || obj.fixed) {
+        return 0;
+      }
+
+      return 1 / obj.mass;
+    }
+  },
+
+  _getInverseInertia: {
+    value: function (obj) {
+      if (!obj || obj.fixed || obj.fixedRotation) {
+        return 0;
+      }
+
+      return 1 / obj.inertia;
+    }
+  },
+
+  /**
+   * Moves both objects along a normalized axis (pointing from anchorA to
+   * anchorB) so that the anchors get closer by "error". Objects turn as well
+   * when the anchors are off-center
+   */
+  _correctPosition: {
+    value: function (nx, ny, error) {
+      var objA      = this.objA;
+      var objB      = this.objB;
+      var anchorA   = this.getAnchorA();
+      var anchorB   = this.getAnchorB();
+      var rACrossN  = this._getArmCrossAxis(objA, anchorA, nx, ny);
+      var rBCrossN  = this._getArmCrossAxis(objB, anchorB, nx, ny);
+      var invMassA  = this._getInverseMass(objA);
+      var invMassB  = this._getInverseMass(objB);
+      var invInertA = this._getInverseInertia(objA);
+      var invInertB = this._getInverseInertia(objB);
+      var weight    =
+        invMassA + invInertA * rACrossN * rACrossN +
+        invMassB + invInertB * rBCrossN * rBCrossN;
+
+      if (weight === 0) {
+        return;
+      }
+
+      var lambda = error / weight;
+
+      if (invMassA !== 0) {
+        this._moveObject(objA, nx * lambda * invMassA, ny * lambda * invMassA);
+      }
+      if (invInertA !== 0 && rACrossN !== 0) {
+        this._turnObject(objA, invInertA * rACrossN * lambda);
+      }
+      if (invMassB !== 0) {
+        this._moveObject(objB, -nx * lambda * invMassB, -ny * lambda * invMassB);
+      }
+      if (invInertB !== 0 && rBCrossN !== 0) {
+        this._turnObject(objB, -invInertB * rBCrossN * lambda);
+      }
+    }
+  },
+
+  /**
+   * Removes the anchors' relative velocity along a normalized axis (pointing
+   * from anchorA to anchorB). If onlySeparating is true, only velocity that
+   * moves the anchors apart is removed
+   */
+  _correctVelocity: {
+    value: function (nx, ny, onlySeparating = false) {
+      var objA      = this.objA;
+      var objB      = this.objB;
+      var anchorA   = this.getAnchorA();
+      var anchorB   = this.getAnchorB();
+      var rACrossN  = this._getArmCrossAxis(objA, anchorA, nx, ny);
+      var rBCrossN  = this._getArmCrossAxis(objB, anchorB, nx, ny);
+      var invMassA  = this._getInverseMass(objA);
+      var invMassB  = this._getInverseMass(objB);
+      var invInertA = this._getInverseInertia(objA);
+      var invInertB = this._getInverseInertia(objB);
+      var weight    =
+        invMassA + invInertA * rACrossN * rACrossN +
+        invMassB + invInertB * rBCrossN * rBCrossN;
+
+      if (weight === 0) {
+        return;
+      }
+
+      var speed =
+        this._getAnchorSpeed(objB, anchorB, nx, ny) -
+        this._getAnchorSpeed(objA, anchorA, nx, ny);
+
+      if (onlySeparating && speed <= 0) {
+        return;
+      }
+
+      var lambda = speed / weight;
+
+      if (invMassA !== 0) {
+        objA.velocity._x += nx * lambda * invMassA;
+        objA.velocity._y += ny * lambda * invMassA;
+      }
+      if (invInertA !== 0) {
+        objA.angularVelocity += invInertA * rACrossN * lambda;
+      }
+      if (invMassB !== 0) {
+        objB.velocity._x -= nx * lambda * invMassB;
+        objB.velocity._y -= ny * lambda * invMassB;
+      }
+      if (invInertB !== 0) {
+        objB.angularVelocity -= invInertB * rBCrossN * lambda;
+      }
+    }
+  },
+
+  /**
+   * Cross product of the arm (from the object's position to the anchor) and
+   * an axis
+   */
+  _getArmCrossAxis: {
+    value: function (obj, anchor, nx, ny) {
+      if (!obj) {
+        return 0;
+      }
+
+      var rx = anchor._x - obj.transform.position._x;
+      var ry = anchor._y - obj.transform.position._y;
+
+      return rx * ny - ry * nx;
+    }
+  },
+
+  /**
+   * Speed of an anchor along an axis, including the object's spin. Kinematic
+   * objects still move even though joints can't push them
+   */
+  _getAnchorSpeed: {
+    value: function (obj, anchor, nx, ny) {
+      if (!obj || obj.bodyType === PhysicsObject.BODY_TYPE.STATIC) {
+        return 0;
+      }
+
+      var rx = anchor._x - obj.transform.position._x;
+      var ry = anchor._y - obj.transform.position._y;
+      var w  = obj.fixedRotation ? 0 : obj.angularVelocity;
+
+      return (obj.velocity._x - w * ry) * nx + (obj.velocity._y + w * rx) * ny;
+    }
+  },
+
+  _moveObject: {
+    value: function (obj, dx, dy) {
+      obj.transform.position._x += dx;
+      obj.transform.position._y += dy;
+      obj.calculationCache.x    += dx;
+      obj.calculationCache.y    += dy;
+    }
+  },
+
+  _turnObject: {
+    value: function (obj, theta) {
+      obj.rotate(theta);
+      obj.calculationCache.rotation = obj.transform.rotation;
+    }
+  }
+}));
+
+Object.freeze(Joint);
+
+module.exports = Joint;
\ No newline at end of file
@@ -0,0 +1,58 @@
+"use strict";
+
+const geom  = require('../../geom');
+const Joint = require('./Joint.js');
+
+/**
+ * Pins two objects together at a point in the world (such as a hinge), letting
+ * them turn freely around it. If objB is null, objA is pinned to the world
+ * point instead. If no point is given, objA's position is used
+ */
+var RevoluteJoint = function (objA, objB, point = objA.transform.position) {
+  var anchorA = new geom.Vec2(
+    point._x - objA.transform.position._x,
+    point._y - objA.transform.position._y
+  );
+  var anchorB = new geom.Vec2(point._x, point._y);
+
+  if (objB) {
+    anchorB.subtract(objB.transform.position);
+  }
+
+  Joint.call(this, objA, objB, anchorA, anchorB);
+};
+
+RevoluteJoint.prototype = Object.freeze(Object.create(Joint.prototype, {
+  solve: {
+    value: function (dt) {
+      var anchorA  = this.getAnchorA();
+      var anchorB  = this.getAnchorB();
+      var dx       = anchorB._x - anchorA._x;
+      var dy       = anchorB._y - anchorA._y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance !== 0) {
+        this._correctPosition(dx / distance, dy / distance, distance);
+      }
+
+      // The anchors can't move apart in any direction
+      this._correctVelocity(1, 0);
+      this._correctVelocity(0, 1);
+    }
+  },
+
+  drawDebug: {
+    value: function (container) {
+      var anchorA = this.getAnchorA();
+
+      Joint.prototype.drawDebug.call(this, container);
+      container.drawCircle(
+        anchorA._x, anchorA._y, Joint.DEBUG_ANCHOR_RADIUS * 2
+      );
+    }
+  }
+}));
+
+Object.freeze(RevoluteJoint);
+
+module.exports = RevoluteJoint;
\ No newline at end of file
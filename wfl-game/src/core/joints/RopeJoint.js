@@ -0,0 +1,62 @@
+"use strict";
+
+const Joint = require('./Joint.js');
+
+/**
+ * Keeps the anchors of two objects from getting farther apart than a max
+ * length, but lets them move closer freely. If no max length is given, the
+ * current distance between the anchors is used
+ */
+var RopeJoint = function (objA, objB, anchorA, anchorB, maxLength) {
+  Joint.call(this, objA, objB, anchorA, anchorB);
+
+  if (typeof maxLength === 'undefined') {
+    var a = this.getAnchorA();
+    var b = this.getAnchorB();
+    maxLength = Math.sqrt(
+      (b._x - a._x) * (b._x - a._x) + (b._y - a._y) * (b._y - a._y)
+    );
+  }
+
+  this.maxLength = maxLength;
+};
+
+RopeJoint.prototype = Object.freeze(Object.create(Joint.prototype, {
+  /**
+   * Whether or not the rope is pulled tight
+   */
+  isTaut: {
+    value: function () {
+      var anchorA = this.getAnchorA();
+      var anchorB = this.getAnchorB();
+      var dx      = anchorB._x - anchorA._x;
+      var dy      = anchorB._y - anchorA._y;
+
+      return dx * dx + dy * dy >= this.maxLength * this.maxLength;
+    }
+  },
+
+  solve: {
+    value: function (dt) {
+      var anchorA  = this.getAnchorA();
+      var anchorB  = this.getAnchorB();
+      var dx       = anchorB._x - anchorA._x;
+      var dy       = anchorB._y - anchorA._y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance === 0 || distance < this.maxLength) {
+        return;
+      }
+
+      var nx = dx / distance;
+      var ny = dy / distance;
+
+      this._correctPosition(nx, ny, distance - this.maxLength);
+      this._correctVelocity(nx, ny, true);
+    }
+  }
+}));
+
+Object.freeze(RopeJoint);
+
+module.exports = RopeJoint;
\ No newline at end of file
@@ -0,0 +1,129 @@
+"use strict";
+
+const Joint = require('./Joint.js');
+
+/**
+ * Pulls (or pushes) the anchors of two objects towards a rest length with a
+ * damped spring force. If no rest length is given, the current distance
+ * between the anchors is used
+ */
+var SpringJoint = function (objA, objB, anchorA, anchorB, restLength, stiffness = SpringJoint.DEFAULT_STIFFNESS, damping = SpringJoint.DEFAULT_DAMPING) {
+  Joint.call(this, objA, objB, anchorA, anchorB);
+
+  if (typeof restLength === 'undefined') {
+    var a = this.getAnchorA();
+    var b = this.getAnchorB();
+    restLength = Math.sqrt(
+      (b._x - a._x) * (b._x - a._x) + (b._y - a._y) * (b._y - a._y)
+    );
+  }
+
+  this.restLength = restLength;
+  this.stiffness  = stiffness; // Force per unit of stretch
+  this.damping    = damping;   // Force per unit of stretching speed
+};
+
+Object.defineProperties(SpringJoint, {
+  DEFAULT_STIFFNESS : {
+    value : 0.05
+  },
+
+  DEFAULT_DAMPING : {
+    value : 0.01
+  },
+
+  DEBUG_COILS : {
+    value : 6
+  }
+});
+
+SpringJoint.prototype = Object.freeze(Object.create(Joint.prototype, {
+  /**
+   * Springs are soft, so their force is applied once per frame instead of
+   * being solved every collision iteration
+   */
+  preSolve: {
+    value: function (dt) {
+      var objA     = this.objA;
+      var objB     = this.objB;
+      var anchorA  = this.getAnchorA();
+      var anchorB  = this.getAnchorB();
+      var dx       = anchorB._x - anchorA._x;
+      var dy       = anchorB._y - anchorA._y;
+      var distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance === 0) {
+        return;
+      }
+
+      var nx    = dx / distance;
+      var ny    = dy / distance;
+      var speed =
+        this._getAnchorSpeed(objB, anchorB, nx, ny) -
+        this._getAnchorSpeed(objA, anchorA, nx, ny);
+      var force =
+        this.stiffness * (distance - this.restLength) +
+        this.damping * speed;
+
+      this._applyForceAt(objA, anchorA,  nx * force * dt,  ny * force * dt);
+      this._applyForceAt(objB, anchorB, -nx * force * dt, -ny * force * dt);
+    }
+  },
+
+  drawDebug: {
+    value: function (container) {
+      var anchorA = this.getAnchorA();
+      var anchorB = this.getAnchorB();
+      var dx      = anchorB._x - anchorA._x;
+      var dy      = anchorB._y - anchorA._y;
+      var length  = Math.sqrt(dx * dx + dy * dy);
+
+      if (length === 0) {
+        return;
+      }
+
+      // Zigzag between the anchors
+      var coils = SpringJoint.DEBUG_COILS;
+      var px    = -dy / length * Joint.DEBUG_ANCHOR_RADIUS * 2;
+      var py    =  dx / length * Joint.DEBUG_ANCHOR_RADIUS * 2;
+
+      container.lineStyle(1, Joint.DEBUG_COLOR, 1);
+      container.moveTo(anchorA._x, anchorA._y);
+
+      for (var i = 1; i < coils * 2; i++) {
+        var side = i % 2 === 0 ? -1 : 1;
+        container.lineTo(
+          anchorA._x + dx * i / (coils * 2) + px * side,
+          anchorA._y + dy * i / (coils * 2) + py * side
+        );
+      }
+
+      container.lineTo(anchorB._x, anchorB._y);
+      container.drawCircle(anchorA._x, anchorA._y, Joint.DEBUG_ANCHOR_RADIUS);
+      container.drawCircle(anchorB._x, anchorB._y, Joint.DEBUG_ANCHOR_RADIUS);
+    }
+  },
+
+  _applyForceAt: {
+    value: function (obj, anchor, impulseX, impulseY) {
+      var invMass    = this._getInverseMass(obj);
+      var invInertia = this._getInverseInertia(obj);
+
+      if (invMass !== 0) {
+        obj.velocity._x += impulseX * invMass;
+        obj.velocity._y += impulseY * invMass;
+      }
+
+      if (invInertia !== 0) {
+        var rx = anchor._x - obj.transform.position._x;
+        var ry = anchor._y - obj.transform.position._y;
+
+        obj.angularVelocity += (rx * impulseY - ry * impulseX) * invInertia;
+      }
+    }
+  }
+}));
+
+Object.freeze(SpringJoint);
+
+module.exports = SpringJoint;
\ No newline at end of file
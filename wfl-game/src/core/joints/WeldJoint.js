@@ -0,0 +1,71 @@
+"use strict";
+
+const RevoluteJoint = require('./RevoluteJoint.js');
+
+// Wraps an angle to be between -PI and PI
+var wrapAngle = function (angle) {
+  while (angle >  Math.PI) angle -= Math.PI * 2;
+  while (angle < -Math.PI) angle += Math.PI * 2;
+  return angle;
+};
+
+/**
+ * Glues two objects together at a point in the world so that they move and
+ * turn as one. If objB is null, objA is glued to the world point instead
+ */
+var WeldJoint = function (objA, objB, point) {
+  RevoluteJoint.call(this, objA, objB, point);
+
+  this.referenceAngle = this._getRelativeAngle();
+};
+
+WeldJoint.prototype = Object.freeze(Object.create(RevoluteJoint.prototype, {
+  solve: {
+    value: function (dt) {
+      var objA      = this.objA;
+      var objB      = this.objB;
+      var invInertA = this._getInverseInertia(objA);
+      var invInertB = this._getInverseInertia(objB);
+      var weight    = invInertA + invInertB;
+
+      // Lock the angle before the point so that turning doesn't pull the
+      // anchors apart again
+      if (weight !== 0) {
+        var error = wrapAngle(this._getRelativeAngle() - this.referenceAngle);
+
+        if (invInertA !== 0) {
+          this._turnObject(objA, error * invInertA / weight);
+        }
+        if (invInertB !== 0) {
+          this._turnObject(objB, -error * invInertB / weight);
+        }
+
+        var wA = invInertA !== 0 ? objA.angularVelocity : 0;
+        var wB = invInertB !== 0 ? objB.angularVelocity : 0;
+        var w  = (wA * invInertB + wB * invInertA) / weight;
+
+        if (invInertA !== 0 && invInertB !== 0) {
+          objA.angularVelocity = objB.angularVelocity = w;
+        } else if (invInertA !== 0) {
+          objA.angularVelocity = wB;
+        } else {
+          objB.angularVelocity = wA;
+        }
+      }
+
+      RevoluteJoint.prototype.solve.call(this, dt);
+    }
+  },
+
+  _getRelativeAngle: {
+    value: function () {
+      var rotationB = this.objB ? this.objB.transform.rotation : 0;
+
+      return wrapAngle(rotationB - this.objA.transform.rotation);
+    }
+  }
+}));
+
+Object.freeze(WeldJoint);
+
+module.exports = WeldJoint;
\ No newline at end of file
@@ -0,0 +1,17 @@
+"use strict";
+
+var Joint = require('./Joint.js');
+var DistanceJoint = require('./DistanceJoint.js');
+var RopeJoint = require('./RopeJoint.js');
+var RevoluteJoint = require('./RevoluteJoint.js');
+var SpringJoint = require('./SpringJoint.js');
+var WeldJoint = require('./WeldJoint.js');
+
+module.exports = {
+    Joint         : Joint,
+    DistanceJoint : DistanceJoint,
+    RopeJoint     : RopeJoint,
+    RevoluteJoint : RevoluteJoint,
+    SpringJoint   : SpringJoint,
+    WeldJoint     : WeldJoint
+};
\ No newline at end of file
@@ -1,5 +1,7 @@
 "use strict";
 
+const debug = require('../debug');
+
 /**
  * Reference: http://gamedevelopment.tutsplus.com/tutorials/quick-tip-use-quadtrees-to-detect-likely-collisions-in-2d-space--gamedev-374
  */
@@ -114,6 +116,14 @@ Quadtree.prototype = Object.freeze(Object.create(Quadtree.prototype, {
             var x                  = calculationCache.x;
             var y                  = calculationCache.y;
 
+            // Bullets are placed by the bounds around their whole move
+            if (physObj.bullet) {
+                w = calculationCache.sweptHalfWidth;
+                h = calculationCache.sweptHalfHeight;
+                x = calculationCache.sweptX;
+                y = calculationCache.sweptY;
+            }
+
             // Object completely fits within top quadrants
             var topQuadrant = (y + h < horizontalMidpoint);
 
@@ -161,7 +171,7 @@ Quadtree.prototype = Object.freeze(Object.create(Quadtree.prototype, {
     insert : {
         value : function (physObj) {
             if (this.nodes[0] !== undefined) {
-                var index = this.getIndex(physObj);
+                let index = this.getIndex(physObj);
 
                 if (index > -1 && index < 4) {
                     this.nodes[index].insert(physObj);
@@ -183,7 +193,7 @@ Quadtree.prototype = Object.freeze(Object.create(Quadtree.prototype, {
                     if (curObj === undefined) {
                         this.objects.splice(i, 1);
                     } else {
-                        var index = this.getIndex(curObj);
+                        let index = this.getIndex(curObj);
 
                         if (index > -1 && index < 4) {
                             this.nodes[index].insert(this.objects.splice(i, 1)[0]);
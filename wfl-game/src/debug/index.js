@@ -1,12 +1,14 @@
 "use strict";
 
-const PIXI = require('pixi.js');
+const PIXI = require('../pixi');
 
 const Flag = {
   AABB:     'aabb',
   QUADTREE: 'quadtree',
   VERTICES: 'vertices',
-  VECTORS:  'vectors'
+  VECTORS:  'vectors',
+  JOINTS:   'joints',
+  SLEEPING: 'sleeping'
 };
 
 const DEFAULT_DEBUG_OPTIONS = {
@@ -14,6 +16,8 @@ const DEFAULT_DEBUG_OPTIONS = {
   quadtree:  false,
   vertices:  true,
   vectors:   true,
+  joints:    true,
+  sleeping:  false,
   
   lineSize:  1,
   lineColor: 0xFFFFFF,
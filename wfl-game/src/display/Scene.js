@@ -1,13 +1,13 @@
 "use strict";
 
-const PIXI          = require('pixi.js');
+const PIXI          = require('../pixi');
 
 const debug         = require('../debug');
 const datastructure = require('../datastructure');
 const geom          = require('../geom');
 const cameras       = require('./cameras');
 const backgrounds   = require('./backgrounds');
-const PhysicsObject = require('../core/entities');
+const entities      = require('../core/entities');
 
 var Scene = function (canvas) {
   this._stage = new PIXI.Container();
@@ -16,9 +16,27 @@ var Scene = function (canvas) {
   this.camera              = new cameras.Camera();
   this.bg                  = new backgrounds.StaticBackground();
   this.keyboard            = undefined;
+  this.mouse               = undefined;
+  this.actions             = undefined;
   this.player              = undefined;
   this.nextScene           = undefined;
+  this.nextSceneOptions    = {};
+  this.pushedScene         = undefined;
+  this.popRequested        = false;
+  
+  // When this scene is above other scenes in the game, these determine whether
+  // or not the scenes below it keep updating and drawing
+  this.updateBelow         = false;
+  this.drawBelow           = false;
+  
+  // Whether or not this scene can receive input. Input only goes to the
+  // topmost scene that accepts it
+  this.acceptsInput        = true;
   this.collisionIterations = Scene.DEFAULT_MAX_COLLISION_ITERATIONS;
+  
+  // Acceleration applied to every physics object (scaled by its
+  // gravityScale) each frame
+  this.gravity             = new geom.Vec2();
 
   this.reset();
 };
@@ -31,7 +49,7 @@ Object.defineProperties(Scene, {
   DEFAULT_MAX_COLLISION_ITERATIONS : {
     value : 8
   }
-}),
+});
 
 Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
   /**
@@ -40,6 +58,35 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
   destroy : {
     value : function () { }
   },
+  
+  /**
+   * Called when the scene is added to the game
+   */
+  onEnter : {
+    value : function () { }
+  },
+  
+  /**
+   * Called when the scene is removed from the game, right before it's
+   * destroyed
+   */
+  onExit : {
+    value : function () { }
+  },
+  
+  /**
+   * Called when another scene is pushed over this scene
+   */
+  onPause : {
+    value : function () { }
+  },
+  
+  /**
+   * Called when this scene becomes the topmost scene again
+   */
+  onResume : {
+    value : function () { }
+  },
 
   /**
    * Resets the scene
@@ -62,10 +109,19 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       // Updated every frame regardless of camera position
       this._persistingGameObjects     = [];
 
+      // Game objects that will be added or removed at the next safe point in
+      // the frame
+      this._gameObjectsToSpawn        = [];
+      this._gameObjectsToRemove       = [];
+
       this._lastDrawnGameObjects      = [];
       this._nonPartitionedGameObjects = []; // Cleared every frame
       this._nearbyGameObjects         = [];
       this._gameObjectsToUpdate       = [];
+      this._interpolatedGameObjects   = [];
+      this._cameraStepPosition        = {x: 0, y: 0};
+      this._cameraSimulatedPosition   = {x: 0, y: 0};
+      this._cameraInterpolated        = false;
       this._buckets                   = [[]];
       this._bucketConfig              = {
         size:      Math.max(canvas.width, canvas.height) * 0.5,
@@ -73,9 +129,31 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         minY:      Infinity,
         maxX:     -Infinity,
         maxY:     -Infinity,
-        forceCalc: false
+        forceCalc: false,
+        
+        // The largest AABB half size of the game objects in the buckets
+        maxHalfWidth:  0,
+        maxHalfHeight: 0
       };
 
+      // Constraints between physics objects, solved with collisions
+      this._joints = [];
+      
+      // Regions that push physics objects inside them
+      this._forceFields = [];
+      
+      // Contacts from the last frame and this frame, used to tell when
+      // contacts start and end. Keys are self.wflId + "_" + other.wflId, so
+      // each object in a pair has its own entry
+      this._collisionContacts        = {};
+      this._currentCollisionContacts = {};
+      this._overlapContacts          = {};
+      this._currentOverlapContacts   = {};
+
+      // Counts of joints between pairs of objects that shouldn't collide with
+      // each other, where the key is obj0.wflId + "_" + obj1.wflId
+      this._jointPairs = {};
+
       // List of objects that have been in a collision and need to resolve
       this._collisionObjects = [];
 
@@ -92,10 +170,35 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
   
   /**
    * Prepares the game's scene to change to another scene next frame
+   *
+   * Options:
+   * - transition: Name of a built-in transition ("fade", "slide" or "wipe"),
+   *               or a Transition. If not set, the change is instant
+   * - duration:   How long the transition lasts, in frames
+   * - direction:  Direction for slide and wipe transitions
    */
   change : {
-    value : function (nextScene) {
-      this.nextScene = nextScene;
+    value : function (nextScene, options = {}) {
+      this.nextScene        = nextScene;
+      this.nextSceneOptions = options;
+    }
+  },
+
+  /**
+   * Prepares the game to push another scene over this scene next frame
+   */
+  push : {
+    value : function (scene) {
+      this.pushedScene = scene;
+    }
+  },
+  
+  /**
+   * Prepares the game to remove this scene next frame
+   */
+  pop : {
+    value : function () {
+      this.popRequested = true;
     }
   },
 
@@ -115,6 +218,21 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
     }
   },
 
+  /**
+   * Queues a game object to be added to the scene at the next safe point in
+   * the frame. Safe to call while the scene is updating
+   */
+  spawn : {
+    value : function (obj, layerId, persists = false) {
+      obj.scene = this;
+      this._gameObjectsToSpawn.push({
+        obj:      obj,
+        layerId:  layerId,
+        persists: persists
+      });
+    }
+  },
+
   /**
    * Adds a game object to the scene
    */
@@ -134,6 +252,7 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
 
       layer.push(obj);
       obj.layer = layerId;
+      obj.scene = this;
       
       // Cache game object's calculations before update is called.
       // The cache calculations are needed in the quad tree (which is
@@ -155,6 +274,8 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       if (persists) {
         this._persistingGameObjects.push(obj);
       }
+      
+      obj.onAdded(this);
     }
   },
 
@@ -163,6 +284,8 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
    */
   removeGameObject : {
     value : function (obj, layerId) {
+      var removed = false;
+      
       // If no layerId provided, try to get the layer from the
       // gameObject itself
       if (typeof layerId === "undefined") {
@@ -172,26 +295,28 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       // If still no layerId, check through all layers...
       if (typeof layerId === "undefined") {
         for (var i = 0; i < this._gameObjectLayers.length; i++) {
-          var layer = this._gameObjectLayers[i];
+          let layer = this._gameObjectLayers[i];
 
           if (layer) {
-            var objIndex = layer.indexOf(obj);
+            let objIndex = layer.indexOf(obj);
 
             if (objIndex >= 0 && objIndex < layer.length) {
               layer.splice(objIndex, 1);
               obj.layer = undefined;
+              removed   = true;
             }
           }
         }
       } else {
-        var layer = this._gameObjectLayers[layerId];
+        let layer = this._gameObjectLayers[layerId];
 
         if (layer) {
-          var objIndex = layer.indexOf(obj);
+          let objIndex = layer.indexOf(obj);
 
           if (objIndex >= 0 && objIndex < layer.length) {
             layer.splice(objIndex, 1);
             obj.layer = undefined;
+            removed   = true;
           }
         }
       }
@@ -221,6 +346,258 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       if (indexInUpdating >= 0) {
         this._gameObjectsToUpdate.splice(indexInUpdating, 1);
       }
+      
+      if (removed) {
+        // Objects resting on this one need to notice that it's gone
+        this._wakeContacts(obj);
+        
+        // Joints can't hold onto objects that have left the scene
+        for (let joint of this._joints.slice()) {
+          if (joint.objA === obj || joint.objB === obj) {
+            this.removeJoint(joint);
+          }
+        }
+        
+        obj.scene = undefined;
+        obj.onRemoved(this);
+      }
+    }
+  },
+  
+  /**
+   * Adds a joint between physics objects to the scene. Whether or not the
+   * objects can collide with each other is read from the joint's
+   * collideConnected when it's added
+   */
+  addJoint : {
+    value : function (joint) {
+      if (this._joints.indexOf(joint) >= 0) {
+        return joint;
+      }
+      
+      this._joints.push(joint);
+      joint.scene = this;
+      joint._blocksCollision = !joint.collideConnected && !!joint.objB;
+      
+      if (joint._blocksCollision) {
+        var idA  = joint.objA.wflId;
+        var idB  = joint.objB.wflId;
+        var keyA = idA + "_" + idB;
+        var keyB = idB + "_" + idA;
+        
+        this._jointPairs[keyA] = (this._jointPairs[keyA] || 0) + 1;
+        this._jointPairs[keyB] = this._jointPairs[keyA];
+      }
+      
+      return joint;
+    }
+  },
+  
+  removeJoint : {
+    value : function (joint) {
+      var index = this._joints.indexOf(joint);
+      
+      if (index < 0) {
+        return;
+      }
+      
+      this._joints.splice(index, 1);
+      joint.scene = undefined;
+      
+      if (joint._blocksCollision) {
+        var idA  = joint.objA.wflId;
+        var idB  = joint.objB.wflId;
+        var keyA = idA + "_" + idB;
+        var keyB = idB + "_" + idA;
+        
+        this._jointPairs[keyA]--;
+        this._jointPairs[keyB] = this._jointPairs[keyA];
+        
+        if (this._jointPairs[keyA] <= 0) {
+          delete this._jointPairs[keyA];
+          delete this._jointPairs[keyB];
+        }
+      }
+    }
+  },
+  
+  /**
+   * Gets all joints in the scene
+   */
+  getJoints : {
+    value : function () {
+      return this._joints.slice();
+    }
+  },
+  
+  addForceField : {
+    value : function (field) {
+      if (this._forceFields.indexOf(field) < 0) {
+        this._forceFields.push(field);
+        field.scene = this;
+      }
+      
+      return field;
+    }
+  },
+  
+  removeForceField : {
+    value : function (field) {
+      var index = this._forceFields.indexOf(field);
+      
+      if (index >= 0) {
+        this._forceFields.splice(index, 1);
+        field.scene = undefined;
+      }
+    }
+  },
+  
+  /**
+   * Gets all force fields in the scene
+   */
+  getForceFields : {
+    value : function () {
+      return this._forceFields.slice();
+    }
+  },
+  
+  /**
+   * Casts a ray and returns the closest hit as {gameObject, point, normal,
+   * distance}, or null if nothing is hit. The direction doesn't need to be
+   * normalized
+   *
+   * Options:
+   * - layer:  Layer ID (or array of IDs) to limit the query to
+   * - filter: Function that returns false for game objects to skip
+   */
+  raycast : {
+    value : function (origin, direction, maxDistance = Infinity, options = {}) {
+      var hits = this._castAll(origin, direction, maxDistance, 0, 0, 0, options);
+      return hits.length > 0 ? hits[0] : null;
+    }
+  },
+  
+  /**
+   * Casts a ray and returns every hit, sorted from closest to farthest
+   */
+  raycastAll : {
+    value : function (origin, direction, maxDistance = Infinity, options = {}) {
+      return this._castAll(origin, direction, maxDistance, 0, 0, 0, options);
+    }
+  },
+  
+  /**
+   * Sweeps a circle from its center along the direction and returns the
+   * first hit, or null. The hit's position is where the circle's center stops
+   */
+  circleCast : {
+    value : function (center, radius, direction, maxDistance = Infinity, options = {}) {
+      var hits = this._castAll(center, direction, maxDistance, radius, 0, 0, options);
+      
+      if (hits.length === 0) {
+        return null;
+      }
+      
+      var hit = hits[0];
+      hit.position = hit.point;
+      hit.point    = new geom.Vec2(
+        hit.position._x - hit.normal._x * radius,
+        hit.position._y - hit.normal._y * radius
+      );
+      
+      return hit;
+    }
+  },
+  
+  /**
+   * Sweeps an axis-aligned box from its center along the direction and
+   * returns the first hit, or null. The hit's position is where the box's
+   * center stops
+   */
+  boxCast : {
+    value : function (center, width, height, direction, maxDistance = Infinity, options = {}) {
+      var halfWidth  = width  * 0.5;
+      var halfHeight = height * 0.5;
+      var hits       = this._castAll(center, direction, maxDistance, 0, halfWidth, halfHeight, options);
+      
+      if (hits.length === 0) {
+        return null;
+      }
+      
+      // The contact is on the side of the box facing away from the normal
+      var hit = hits[0];
+      hit.position = hit.point;
+      hit.point    = new geom.Vec2(
+        hit.position._x - Math.sign(Math.round(hit.normal._x * 1000)) * halfWidth,
+        hit.position._y - Math.sign(Math.round(hit.normal._y * 1000)) * halfHeight
+      );
+      
+      return hit;
+    }
+  },
+  
+  /**
+   * Finds the game objects overlapping a rectangle, given as {x, y, width,
+   * height} where (x, y) is the top left corner. Takes the same options as
+   * raycast()
+   */
+  queryRect : {
+    value : function (rect, options = {}) {
+      var minX   = rect.x;
+      var minY   = rect.y;
+      var maxX   = rect.x + rect.width;
+      var maxY   = rect.y + rect.height;
+      var points = [
+        new geom.Vec2(minX, minY),
+        new geom.Vec2(maxX, minY),
+        new geom.Vec2(maxX, maxY),
+        new geom.Vec2(minX, maxY)
+      ];
+      
+      return this._findGameObjectsInBounds(minX, minY, maxX, maxY).filter(
+        (obj) => this._passesQueryOptions(obj, options) &&
+                 obj.overlapsPolygon(points)
+      );
+    }
+  },
+  
+  /**
+   * Finds the game objects overlapping a circle. The center can be a Vec2 or
+   * any {x, y}. Takes the same options as raycast()
+   */
+  queryCircle : {
+    value : function (center, radius, options = {}) {
+      center = new geom.Vec2(center.x, center.y);
+      
+      return this._findGameObjectsInBounds(
+        center._x - radius,
+        center._y - radius,
+        center._x + radius,
+        center._y + radius
+      ).filter(
+        (obj) => this._passesQueryOptions(obj, options) &&
+                 obj.overlapsCircle(center, radius)
+      );
+    }
+  },
+  
+  /**
+   * Finds the game objects containing a point, given as a Vec2 or any {x, y}.
+   * Takes the same options as raycast()
+   */
+  queryPoint : {
+    value : function (point, options = {}) {
+      point = new geom.Vec2(point.x, point.y);
+      
+      return this._findGameObjectsInBounds(
+        point._x,
+        point._y,
+        point._x,
+        point._y
+      ).filter(
+        (obj) => this._passesQueryOptions(obj, options) &&
+                 obj.containsPoint(point)
+      );
     }
   },
   
@@ -243,7 +620,11 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
    */
   update : {
     value : function (dt) {
+      this._applyPendingChanges();
       this._updateBuckets();
+      
+      this._cameraStepPosition.x = this.camera.position._x;
+      this._cameraStepPosition.y = this.camera.position._y;
       this.camera.update(dt);
       
       this._nearbyGameObjects   = this._findSurroundingGameObjects(this.camera);
@@ -252,8 +633,16 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       for (let obj of this._gameObjectsToUpdate) {
         if (obj.solid) this._quadtree.insert(obj);
       }
+      
+      this._applyForceFields();
+      
+      this._wakeSleepingContacts();
 
       for (let obj of this._gameObjectsToUpdate) {
+        // Game objects destroyed earlier in this loop don't update
+        if (obj.pendingDestroy) continue;
+        
+        obj._storeStepPosition();
         obj.update(dt);
       }
       
@@ -262,8 +651,12 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         obj.cacheCalculations();
       }
       
-      this._handleCollisions(this._gameObjectsToUpdate);
+      this._handleCollisions(this._gameObjectsToUpdate, dt);
       this._handleOverlaps(this._gameObjectsToUpdate);
+      this._dispatchContactEvents();
+      
+      this._updateSleep(this._gameObjectsToUpdate, dt);
+      this._applyPendingChanges();
     }
   },
   
@@ -326,16 +719,310 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         if (options[debug.Flag.VERTICES]) {
           obj.drawDebugVertices(debugContainer);
         }
+        if (options[debug.Flag.SLEEPING] &&
+            obj instanceof entities.PhysicsObject) {
+          obj.drawDebugSleeping(debugContainer);
+        }
       }
       
       if (options[debug.Flag.QUADTREE]) {
         this._quadtree.drawDebugQuadtree(debugContainer);
       }
       
+      if (options[debug.Flag.JOINTS]) {
+        for (let joint of this._joints) {
+          joint.drawDebug(debugContainer);
+        }
+      }
+      
       this._stage.addChild(debugContainer);
     }
   },
   
+  /**
+   * Adds the forces from each force field to the physics objects inside it,
+   * to be applied when they update. Pushed objects are woken, and added to
+   * the game objects updated this frame if they aren't already (only
+   * updating clears their added forces)
+   */
+  _applyForceFields : {
+    value : function () {
+      if (this._forceFields.length === 0) {
+        return;
+      }
+      
+      var updating = {};
+      
+      for (let obj of this._gameObjectsToUpdate) {
+        updating[obj.wflId] = true;
+      }
+      
+      for (let field of this._forceFields) {
+        if (!field.enabled) continue;
+        
+        var bounds = field.getBounds();
+        var inside = this._findGameObjectsInBounds(
+          bounds.minX, bounds.minY, bounds.maxX, bounds.maxY
+        );
+        
+        for (let obj of inside) {
+          if (!field.affects(obj)) continue;
+          
+          // Objects pushed by a field are woken and updated this frame, even
+          // if they're too far from the camera to be updated otherwise
+          if (!updating[obj.wflId]) {
+            updating[obj.wflId] = true;
+            this._gameObjectsToUpdate.push(obj);
+            
+            if (obj.solid) this._quadtree.insert(obj);
+          }
+          
+          obj.wake();
+          field.apply(obj);
+        }
+      }
+    }
+  },
+  
+  /**
+   * Interpolates the displayed positions of updated game objects (and the
+   * camera) between the last fixed step and the current one
+   */
+  _interpolate : {
+    value : function (alpha) {
+      var camera = this.camera.position;
+      
+      this._cameraSimulatedPosition.x = camera._x;
+      this._cameraSimulatedPosition.y = camera._y;
+      this._cameraInterpolated        = true;
+      camera._x = this._cameraStepPosition.x + (camera._x - this._cameraStepPosition.x) * alpha;
+      camera._y = this._cameraStepPosition.y + (camera._y - this._cameraStepPosition.y) * alpha;
+      
+      this._interpolatedGameObjects = this._gameObjectsToUpdate.filter(
+        (obj) => obj.interpolate
+      );
+      
+      for (let obj of this._interpolatedGameObjects) {
+        obj._applyInterpolation(alpha);
+      }
+    }
+  },
+  
+  /**
+   * Moves interpolated game objects (and the camera) back to their simulated
+   * positions
+   */
+  _restoreInterpolation : {
+    value : function () {
+      if (this._cameraInterpolated) {
+        this.camera.position._x = this._cameraSimulatedPosition.x;
+        this.camera.position._y = this._cameraSimulatedPosition.y;
+        this._cameraInterpolated = false;
+      }
+      
+      for (let obj of this._interpolatedGameObjects) {
+        obj._restoreInterpolation();
+      }
+      
+      this._interpolatedGameObjects = [];
+    }
+  },
+  
+  /**
+   * Queues a game object to be removed from the scene and destroyed at the
+   * next safe point in the frame. Called by GameObject's destroy()
+   */
+  destroyObject : {
+    value : function (obj) {
+      // If the game object hasn't been spawned yet, it never has to be added
+      for (var i = 0; i < this._gameObjectsToSpawn.length; i++) {
+        if (this._gameObjectsToSpawn[i].obj === obj) {
+          this._gameObjectsToSpawn.splice(i, 1);
+          obj.scene = undefined;
+          obj.destroy();
+          return;
+        }
+      }
+      
+      if (!obj.pendingDestroy) {
+        obj.pendingDestroy = true;
+        this._gameObjectsToRemove.push(obj);
+      }
+    }
+  },
+  
+  /**
+   * Removes game objects queued with destroyObject() and adds game objects
+   * queued with spawn()
+   */
+  _applyPendingChanges : {
+    value : function () {
+      var toRemove = this._gameObjectsToRemove;
+      var toSpawn  = this._gameObjectsToSpawn;
+      
+      // Anything queued by onRemoved() or onAdded() waits for the next
+      // safe point
+      this._gameObjectsToRemove = [];
+      this._gameObjectsToSpawn  = [];
+      
+      // Out of the scene, a game object's destroy() destroys it instead of
+      // queueing it again
+      for (let obj of toRemove) {
+        this.removeGameObject(obj);
+        obj.scene = undefined;
+        obj.destroy();
+      }
+      
+      for (let {obj, layerId, persists} of toSpawn) {
+        this.addGameObject(obj, layerId, persists);
+      }
+    }
+  },
+  
+  /**
+   * Casts a ray (or sweeps a circle or box) against the game objects along
+   * it, returning every hit sorted from closest to farthest
+   */
+  _castAll : {
+    value : function (origin, direction, maxDistance, radius, halfWidth, halfHeight, options) {
+      var length = Math.sqrt(direction._x * direction._x + direction._y * direction._y);
+      var hits   = [];
+      
+      if (length === 0) {
+        return hits;
+      }
+      
+      var dir = new geom.Vec2(direction._x / length, direction._y / length);
+      
+      // Rays with no limit only need to reach the edge of the buckets
+      if (!isFinite(maxDistance)) {
+        var {minX, minY, maxX, maxY} = this._bucketConfig;
+        
+        if (!isFinite(minX)) {
+          return hits;
+        }
+        
+        maxDistance = Math.max(
+          Math.abs(origin._x - minX), Math.abs(origin._x - maxX)
+        ) + Math.max(
+          Math.abs(origin._y - minY), Math.abs(origin._y - maxY)
+        );
+      }
+      
+      var endX        = origin._x + dir._x * maxDistance;
+      var endY        = origin._y + dir._y * maxDistance;
+      var padX        = radius + halfWidth;
+      var padY        = radius + halfHeight;
+      var gameObjects = this._findGameObjectsInBounds(
+        Math.min(origin._x, endX) - padX,
+        Math.min(origin._y, endY) - padY,
+        Math.max(origin._x, endX) + padX,
+        Math.max(origin._y, endY) + padY
+      );
+      
+      for (let obj of gameObjects) {
+        if (!this._passesQueryOptions(obj, options)) {
+          continue;
+        }
+        
+        var hit = obj._cast(origin, dir, maxDistance, radius, halfWidth, halfHeight);
+        
+        if (hit) {
+          hit.gameObject = obj;
+          hits.push(hit);
+        }
+      }
+      
+      return hits.sort((a, b) => a.distance - b.distance);
+    }
+  },
+  
+  /**
+   * Returns whether or not a game object should be included in a query
+   */
+  _passesQueryOptions : {
+    value : function (obj, options) {
+      if (typeof options.layer !== "undefined" &&
+          [].concat(options.layer).indexOf(obj.layer) < 0) {
+        return false;
+      }
+      
+      if (options.filter && !options.filter(obj)) {
+        return false;
+      }
+      
+      return true;
+    }
+  },
+  
+  /**
+   * Finds the game objects whose AABBs overlap the bounds, using the quad tree
+   * and the buckets
+   */
+  _findGameObjectsInBounds : {
+    value : function (minX, minY, maxX, maxY) {
+      var gameObjects = [];
+      var checked     = {};
+      var check       = (obj) => {
+        if (checked[obj.wflId]) {
+          return;
+        }
+        checked[obj.wflId] = true;
+        
+        var {x, y, aabbHalfWidth, aabbHalfHeight} = obj.calculationCache;
+        
+        if (obj.scene === this && !obj.pendingDestroy &&
+            x - aabbHalfWidth  <= maxX && x + aabbHalfWidth  >= minX &&
+            y - aabbHalfHeight <= maxY && y + aabbHalfHeight >= minY) {
+          gameObjects.push(obj);
+        }
+      };
+      
+      // Solid game objects that were updated this frame are in the quad tree
+      var quadtreeObjects = this._quadtree.retrieve([], {
+        calculationCache: {
+          x:              (minX + maxX) * 0.5,
+          y:              (minY + maxY) * 0.5,
+          aabbHalfWidth:  (maxX - minX) * 0.5,
+          aabbHalfHeight: (maxY - minY) * 0.5
+        }
+      });
+      for (let obj of quadtreeObjects) {
+        check(obj);
+      }
+      
+      // Everything else is found through the buckets. Game objects are put in
+      // buckets by their centers, so the bounds are grown by the largest game
+      // object's half size. Neighboring buckets are checked too, for game
+      // objects that moved since they were put in a bucket
+      var config                 = this._bucketConfig;
+      var totalBucketsHorizontal = this._buckets.length;
+      var totalBucketsVertical   = this._buckets[0].length;
+      var bucketRatioX           = (totalBucketsHorizontal - 1) / (config.maxX - config.minX);
+      var bucketRatioY           = (totalBucketsVertical   - 1) / (config.maxY - config.minY);
+      var clampX = (i) => Math.max(0, Math.min(totalBucketsHorizontal - 1, i));
+      var clampY = (j) => Math.max(0, Math.min(totalBucketsVertical   - 1, j));
+      var startX = clampX((Math.floor(bucketRatioX * (minX - config.maxHalfWidth  - config.minX)) || 0) - 1);
+      var stopX  = clampX((Math.floor(bucketRatioX * (maxX + config.maxHalfWidth  - config.minX)) || 0) + 1);
+      var startY = clampY((Math.floor(bucketRatioY * (minY - config.maxHalfHeight - config.minY)) || 0) - 1);
+      var stopY  = clampY((Math.floor(bucketRatioY * (maxY + config.maxHalfHeight - config.minY)) || 0) + 1);
+      
+      for (var i = startX; i <= stopX; i++) {
+        for (var j = startY; j <= stopY; j++) {
+          for (let obj of this._buckets[i][j] || []) {
+            check(obj);
+          }
+        }
+      }
+      
+      for (let obj of this._nonPartitionedGameObjects) {
+        check(obj);
+      }
+      
+      return gameObjects;
+    }
+  },
+  
   _beforeDraw : {
     value : function (renderer) {
       this._stage.x = renderer.width  * 0.5 - this.camera.position.x * this.camera.zoom;
@@ -458,6 +1145,8 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       this._bucketConfig.minY = minY;
       this._bucketConfig.maxX = maxX;
       this._bucketConfig.maxY = maxY;
+      this._bucketConfig.maxHalfWidth  = 0;
+      this._bucketConfig.maxHalfHeight = 0;
     }
   },
   
@@ -488,6 +1177,9 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         obj._bucketPosition.y = bucketY;
 
         this._buckets[bucketX][bucketY].push(obj);
+        
+        this._bucketConfig.maxHalfWidth  = Math.max(this._bucketConfig.maxHalfWidth,  cache.aabbHalfWidth);
+        this._bucketConfig.maxHalfHeight = Math.max(this._bucketConfig.maxHalfHeight, cache.aabbHalfHeight);
       }
     }
   },
@@ -603,7 +1295,7 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       var depth1        = 0;
       var displacement0 = {x: 0, y: 0};
       var displacement1 = {x: 0, y: 0};
-      var restitution   = obj0.restitution * obj1.restitution;
+      var restitution   = obj0.getCombinedRestitution(obj1);
       var v0            = {
         x: obj0._previousVelocity._x,
         y: obj0._previousVelocity._y
@@ -617,6 +1309,20 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       if (obj0.fixed) m0 = Infinity;
       if (obj1.fixed) m1 = Infinity;
 
+      // Sleeping objects are woken up by anything moving into them
+      this._wakeFromContact(obj0, obj1);
+      this._wakeFromContact(obj1, obj0);
+      
+      // Objects standing on kinematic objects are carried along by them.
+      // Directions point from obj0 to obj1, so obj1 is pushed along it
+      obj0.trackRider(obj1, direction.x, direction.y);
+      obj1.trackRider(obj0, -direction.x, -direction.y);
+
+      // Off-center contacts make the objects spin
+      if (!collisionData.forceUndo && collisionData.contactManifold) {
+        this._applyAngularImpulse(obj0, obj1, collisionData, m0, m1);
+      }
+
       // Non-fixed objects can be pushed out to resolve
       // collisions; fixed objects cannot
       if (!obj0.fixed && !obj1.fixed) {
@@ -698,11 +1404,29 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       // Flip direction before limiting obj1's depth movement too
       direction.x *= -1;
       direction.y *= -1;
-      obj0.onCollide(obj1, collisionData);
+      if (!obj0.pendingDestroy) {
+        obj0.onCollide(obj1, collisionData);
+      }
       // Flip direction before limiting obj1's depth movement too
       direction.x *= -1;
       direction.y *= -1;
-      obj1.onCollide(obj0, collisionData);
+      if (!obj1.pendingDestroy) {
+        obj1.onCollide(obj0, collisionData);
+      }
+      
+      // Each object sees the direction towards the other, like with onCollide()
+      this._addContact(
+        this._currentCollisionContacts, obj0, obj1,
+        Object.assign({}, collisionData, {
+          direction: new geom.Vec2(-direction.x, -direction.y)
+        })
+      );
+      this._addContact(
+        this._currentCollisionContacts, obj1, obj0,
+        Object.assign({}, collisionData, {
+          direction: new geom.Vec2(direction.x, direction.y)
+        })
+      );
       
       // Now resolve collisions
       obj0.resolveCollisions();
@@ -710,23 +1434,143 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
     }
   },
   
+  /**
+   * Changes the angular velocities of two colliding objects from the impulse
+   * (and friction) at the center of their contact manifold. Linear velocities
+   * are left to the momentum distribution in _finalizeCollision
+   */
+  _applyAngularImpulse: {
+    value: function (obj0, obj1, collisionData, m0, m1) {
+      var manifold  = collisionData.contactManifold;
+      var direction = collisionData.direction;
+      var contactX  = 0;
+      var contactY  = 0;
+
+      if (manifold.length === 0) {
+        return;
+      }
+
+      for (let point of manifold) {
+        contactX += point.x;
+        contactY += point.y;
+      }
+      contactX /= manifold.length;
+      contactY /= manifold.length;
+
+      // Normal points from obj0 towards obj1
+      var normalLength = Math.sqrt(
+        direction.x * direction.x + direction.y * direction.y
+      );
+      if (normalLength === 0) {
+        return;
+      }
+      var nx = direction.x / normalLength;
+      var ny = direction.y / normalLength;
+
+      // Objects that can't rotate have no angular response
+      var canRotate0  = !obj0.fixed && !obj0.fixedRotation;
+      var canRotate1  = !obj1.fixed && !obj1.fixedRotation;
+      var invInertia0 = canRotate0 ? 1 / obj0.inertia : 0;
+      var invInertia1 = canRotate1 ? 1 / obj1.inertia : 0;
+      var invMass0    = m0 === Infinity ? 0 : 1 / m0;
+      var invMass1    = m1 === Infinity ? 0 : 1 / m1;
+
+      if (invInertia0 === 0 && invInertia1 === 0) {
+        return;
+      }
+
+      var r0x = contactX - obj0.transform.position._x;
+      var r0y = contactY - obj0.transform.position._y;
+      var r1x = contactX - obj1.transform.position._x;
+      var r1y = contactY - obj1.transform.position._y;
+      var w0  = obj0.angularVelocity;
+      var w1  = obj1.angularVelocity;
+
+      // Velocity of obj1 relative to obj0 at the contact point
+      var relativeX =
+        obj1._previousVelocity._x - w1 * r1y -
+        obj0._previousVelocity._x + w0 * r0y;
+      var relativeY =
+        obj1._previousVelocity._y + w1 * r1x -
+        obj0._previousVelocity._y - w0 * r0x;
+      var normalSpeed = relativeX * nx + relativeY * ny;
+
+      // Already separating
+      if (normalSpeed >= 0) {
+        return;
+      }
+
+      var restitution = obj0.getCombinedRestitution(obj1);
+      var r0CrossN    = r0x * ny - r0y * nx;
+      var r1CrossN    = r1x * ny - r1y * nx;
+      var impulse     = -(1 + restitution) * normalSpeed / (
+        invMass0 + invMass1 +
+        r0CrossN * r0CrossN * invInertia0 +
+        r1CrossN * r1CrossN * invInertia1
+      );
+
+      w0 -= r0CrossN * impulse * invInertia0;
+      w1 += r1CrossN * impulse * invInertia1;
+
+      // Friction along the contact tangent, limited by the normal impulse
+      var tx = relativeX - normalSpeed * nx;
+      var ty = relativeY - normalSpeed * ny;
+      var tangentLength = Math.sqrt(tx * tx + ty * ty);
+
+      if (tangentLength > 0) {
+        tx /= tangentLength;
+        ty /= tangentLength;
+
+        var friction    = obj0.getCombinedFriction(obj1);
+        var r0CrossT    = r0x * ty - r0y * tx;
+        var r1CrossT    = r1x * ty - r1y * tx;
+        var frictionImpulse = -(relativeX * tx + relativeY * ty) / (
+          invMass0 + invMass1 +
+          r0CrossT * r0CrossT * invInertia0 +
+          r1CrossT * r1CrossT * invInertia1
+        );
+
+        frictionImpulse = Math.max(
+          -friction * impulse,
+          Math.min(friction * impulse, frictionImpulse)
+        );
+
+        w0 -= r0CrossT * frictionImpulse * invInertia0;
+        w1 += r1CrossT * frictionImpulse * invInertia1;
+      }
+
+      if (canRotate0) obj0.angularVelocity = w0;
+      if (canRotate1) obj1.angularVelocity = w1;
+    }
+  },
+  
   _findAllCollisions: {
     value: function (gameObjects) {
       var distancePairCache  = this._distancePairCache;
       var collisionPairCache = this._collisionPairCache;
       var quadtreeCache      = this._quadtreeCache;
       
+      // Sorts game objects by their distance to the game object with the
+      // given id, nearest first
+      var byDistanceTo = (wflId) => (a, b) => {
+        return distancePairCache[wflId + "_" + a.wflId] -
+               distancePairCache[wflId + "_" + b.wflId];
+      };
+      
       for (let obj0 of gameObjects) {
+        // Skip game objects that were destroyed by an earlier collision
+        if (obj0.pendingDestroy) continue;
+        
         var wflId0             = obj0.wflId;
         var possibleCollisions = quadtreeCache[wflId0];
 
         // Sort the objects so that the nearest ones are handled first
-        possibleCollisions.sort((a, b) => {
-          return distancePairCache[wflId0 + "_" + a.wflId] -
-                 distancePairCache[wflId0 + "_" + b.wflId];
-        });
+        possibleCollisions.sort(byDistanceTo(wflId0));
         
         for (let obj1 of possibleCollisions) {
+          if (obj0.pendingDestroy) break;
+          if (obj1.pendingDestroy) continue;
+          
           var wflId1       = obj1.wflId;
           var pairHashKeyA = wflId0 + "_" + wflId1;
 
@@ -764,6 +1608,8 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       var wflId1             = -1;
       
       for (let obj0 of gameObjects) {
+        if (obj0.pendingDestroy) continue;
+        
         var cache              = obj0.calculationCache;
         var px0                = cache.px;
         var py0                = cache.py;
@@ -774,27 +1620,40 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         quadtree.retrieve(possibleCollisions, obj0);
 
         for (let obj1 of possibleCollisions) {
-          // If the object passes the broad phase check, it will be
-          // considered for further collision analysis later on
-          if (obj0.checkBroadPhaseCollision(obj1) &&
-              obj0.canCollide(obj1) &&
-              obj1.canCollide(obj0) &&
-              wflId0 !== (wflId1 = obj1.wflId)) {
-
-            var pairHashKeyA = wflId0 + "_" + wflId1;
-            if (distancePairCache[pairHashKeyA] === undefined) {
-              var {px, py}     = obj1.calculationCache;
-              var pairHashKeyB = wflId1 + "_" + wflId0;
-              var distSquared  =
-                  (px0 - px) * (px0 - px) + 
-                  (py0 - py) * (py0 - py);
-
-              distancePairCache[pairHashKeyA]  = distSquared;
-              distancePairCache[pairHashKeyB]  = distSquared;
-              collisionPairCache[pairHashKeyA] = false;
-              collisionPairCache[pairHashKeyB] = false;
-              probableCollisions.push(obj1);
+          // Cheap checks go first so that pairs are rejected before
+          // canCollide() is called
+          if (wflId0 === (wflId1 = obj1.wflId) ||
+              obj1.pendingDestroy ||
+              !obj0.checkCollisionFilter(obj1) ||
+              !obj0.checkBroadPhaseCollision(obj1)) {
+            continue;
+          }
+
+          var pairHashKeyA = wflId0 + "_" + wflId1;
+          if (distancePairCache[pairHashKeyA] === undefined) {
+            var pairHashKeyB = wflId1 + "_" + wflId0;
+
+            // Pairs rejected by joints or canCollide() are cached as null so
+            // that the hook is only called once per pair
+            if (this._jointPairs[pairHashKeyA] ||
+                !obj0.canCollide(obj1) || !obj1.canCollide(obj0)) {
+              distancePairCache[pairHashKeyA] = null;
+              distancePairCache[pairHashKeyB] = null;
+              continue;
             }
+
+            // If the object passes the broad phase check, it will be
+            // considered for further collision analysis later on
+            var {px, py}    = obj1.calculationCache;
+            var distSquared =
+                (px0 - px) * (px0 - px) + 
+                (py0 - py) * (py0 - py);
+
+            distancePairCache[pairHashKeyA]  = distSquared;
+            distancePairCache[pairHashKeyB]  = distSquared;
+            collisionPairCache[pairHashKeyA] = false;
+            collisionPairCache[pairHashKeyB] = false;
+            probableCollisions.push(obj1);
           }
         }
         
@@ -818,30 +1677,78 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
    * Handles collisions between game objects
    */
   _handleCollisions : {
-    value : function (gameObjects) {
-      // Only directly check collisions for objects that aren't fixed
+    value : function (gameObjects, dt = 1) {
+      // Only directly check collisions for objects that aren't fixed or
+      // sleeping
       var needBroadPhase  = gameObjects.filter(
-        (obj) => !obj.fixed && obj.solid
+        (obj) => !obj.fixed && obj.solid && !obj.pendingDestroy && !obj.sleeping
       );
       var needNarrowPhase = [];
+      
+      // Joints wake the objects they hold together
+      for (let joint of this._joints) {
+        if (joint.objB) {
+          this._wakeFromContact(joint.objA, joint.objB);
+          this._wakeFromContact(joint.objB, joint.objA);
+        }
+      }
+      
+      var jointObjects = this._getJointObjects();
+      var awakeJoints  = this._joints.filter(
+        (joint) => !this._isJointAsleep(joint)
+      );
+      
+      for (let joint of awakeJoints) {
+        joint.preSolve(dt);
+      }
 
       for (var k = 0; k < this.collisionIterations; k++) {
         this._resetCollisionData(needBroadPhase);
         
         needNarrowPhase = this._cacheData(needBroadPhase);
         this._findAllCollisions(needNarrowPhase);
+        
+        // Joints are solved after collisions so that they have the final say
+        // in each iteration
+        for (let joint of awakeJoints) {
+          joint.solve(dt);
+        }
 
         // Only do more collision iterations if something has collided this
-        // frame
-        if (this._collisionObjects.length === 0) {
+        // frame or joints may have moved objects into something
+        if (this._collisionObjects.length === 0 && jointObjects.length === 0) {
           break;
         }
         
         // Only continue to resolve collisions for objects that have just
-        // collided. If it wasn't just in a collision, it won't need to resolve
-        // a collision now.
-        needBroadPhase = this._collisionObjects;
+        // collided or are held by joints. If it wasn't just in a collision,
+        // it won't need to resolve a collision now.
+        needBroadPhase = this._collisionObjects.concat(jointObjects.filter(
+          (obj) => !this._collisionObjectCache[obj.wflId]
+        ));
+      }
+    }
+  },
+  
+  /**
+   * Gets the solid, non-fixed, awake objects held by joints
+   */
+  _getJointObjects : {
+    value : function () {
+      var jointObjects = [];
+      var added        = {};
+      
+      for (let joint of this._joints) {
+        for (let obj of [joint.objA, joint.objB]) {
+          if (obj && !added[obj.wflId] && !obj.fixed && obj.solid &&
+              !obj.pendingDestroy && !obj.sleeping) {
+            added[obj.wflId] = true;
+            jointObjects.push(obj);
+          }
+        }
       }
+      
+      return jointObjects;
     }
   },
   
@@ -852,7 +1759,7 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
       
       // Only directly check overlaps for objects that allow overlap events
       var availableObjects = gameObjects.filter(
-        (obj) => obj.allowOverlapEvents
+        (obj) => obj.allowOverlapEvents && !obj.pendingDestroy
       );
       
       for (let obj0 of availableObjects) {
@@ -867,11 +1774,17 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
         }
         
         for (let obj1 of possibleCollisions) {
-          if (obj0.checkBroadPhaseCollision(obj1)) {
+          if (obj0.pendingDestroy) break;
+          if (obj1 === obj0 || obj1.pendingDestroy) continue;
+          
+          if (obj0.checkCollisionFilter(obj1) &&
+              obj0.checkBroadPhaseCollision(obj1)) {
             obj0.onOverlap(obj1);
+            this._addContact(this._currentOverlapContacts, obj0, obj1);
             
-            if (obj1.allowOverlapEvents) {
+            if (obj1.allowOverlapEvents && !obj1.pendingDestroy) {
               obj1.onOverlap(obj0);
+              this._addContact(this._currentOverlapContacts, obj1, obj0);
             }
           }
         }
@@ -879,6 +1792,234 @@ Scene.prototype = Object.freeze(Object.create(Scene.prototype, {
     }
   },
   
+  /**
+   * Puts groups of touching objects to sleep once every object in the group
+   * has been resting long enough. Sleeping them one at a time would let the
+   * awake objects in a pile keep waking up the ones beneath them
+   */
+  _updateSleep : {
+    value : function (gameObjects, dt) {
+      var neighbors = {};
+      var link      = (a, b) => {
+        (neighbors[a.wflId] = neighbors[a.wflId] || []).push(b);
+        (neighbors[b.wflId] = neighbors[b.wflId] || []).push(a);
+      };
+      
+      for (let obj of gameObjects) {
+        if (obj instanceof entities.PhysicsObject) {
+          obj.updateSleep(dt);
+        }
+      }
+      
+      for (let key in this._collisionContacts) {
+        var contact = this._collisionContacts[key];
+        link(contact.self, contact.other);
+      }
+      for (let joint of this._joints) {
+        if (joint.objB) {
+          link(joint.objA, joint.objB);
+        }
+      }
+      
+      var visited = {};
+      
+      for (let obj of gameObjects) {
+        if (visited[obj.wflId] || !obj.readyToSleep) {
+          continue;
+        }
+        
+        // Gather everything that's touching this object, stopping at
+        // fixed objects since they never move the objects on them
+        var group = [];
+        var stack = [obj];
+        var ready = true;
+        
+        visited[obj.wflId] = true;
+        
+        while (stack.length > 0) {
+          var current = stack.pop();
+          
+          group.push(current);
+          
+          if (!current.sleeping && !current.readyToSleep) {
+            ready = false;
+          }
+          
+          for (let other of neighbors[current.wflId] || []) {
+            if (!visited[other.wflId] && !other.fixed) {
+              visited[other.wflId] = true;
+              stack.push(other);
+            }
+          }
+        }
+        
+        if (ready) {
+          for (let member of group) {
+            member.sleep();
+          }
+        }
+      }
+    }
+  },
+  
+  /**
+   * Joints between objects that are all sleeping or fixed don't need to be
+   * solved
+   */
+  _isJointAsleep : {
+    value : function (joint) {
+      var isResting = (obj) => !obj || obj.sleeping ||
+        obj.bodyType === entities.PhysicsObject.BODY_TYPE.STATIC;
+      
+      return isResting(joint.objA) && isResting(joint.objB);
+    }
+  },
+  
+  /**
+   * Wakes a sleeping object if the other object could be moving into it
+   */
+  _wakeFromContact : {
+    value : function (obj, other) {
+      if (!obj.sleeping || other.sleeping) {
+        return false;
+      }
+      
+      var BODY_TYPE = entities.PhysicsObject.BODY_TYPE;
+      
+      if (other.bodyType === BODY_TYPE.DYNAMIC ||
+          (other.bodyType === BODY_TYPE.KINEMATIC &&
+           (other.velocity._x !== 0 || other.velocity._y !== 0 ||
+            other.angularVelocity !== 0))) {
+        obj.wake();
+        return true;
+      }
+      
+      return false;
+    }
+  },
+  
+  /**
+   * Wakes sleeping objects touching anything that's awake and able to move
+   * them, spreading through piles until every touching object is awake
+   */
+  _wakeSleepingContacts : {
+    value : function () {
+      var woken = true;
+      
+      while (woken) {
+        woken = false;
+        
+        for (let key in this._collisionContacts) {
+          var contact = this._collisionContacts[key];
+          
+          if (this._wakeFromContact(contact.self, contact.other)) {
+            woken = true;
+          }
+        }
+      }
+    }
+  },
+  
+  /**
+   * Wakes everything that was in a collision with the object last frame
+   */
+  _wakeContacts : {
+    value : function (obj) {
+      for (let key in this._collisionContacts) {
+        var contact = this._collisionContacts[key];
+        
+        if (contact.other === obj && contact.self.sleeping) {
+          contact.self.wake();
+        }
+      }
+    }
+  },
+  
+  _addContact: {
+    value: function (contacts, self, other, collisionData) {
+      contacts[self.wflId + "_" + other.wflId] = {
+        self:          self,
+        other:         other,
+        collisionData: collisionData
+      };
+    }
+  },
+  
+  /**
+   * Compares this frame's contacts to last frame's, and tells objects which
+   * contacts have started, continued and ended
+   */
+  _dispatchContactEvents: {
+    value: function () {
+      var Event = entities.PhysicsObject.Event;
+      
+      this._dispatchContacts(
+        this._collisionContacts,
+        this._currentCollisionContacts,
+        Event.COLLISION_ENTER,
+        Event.COLLISION_STAY,
+        Event.COLLISION_EXIT
+      );
+      this._dispatchContacts(
+        this._overlapContacts,
+        this._currentOverlapContacts,
+        Event.OVERLAP_ENTER,
+        Event.OVERLAP_STAY,
+        Event.OVERLAP_EXIT
+      );
+      
+      this._collisionContacts        = this._currentCollisionContacts;
+      this._currentCollisionContacts = {};
+      this._overlapContacts          = this._currentOverlapContacts;
+      this._currentOverlapContacts   = {};
+    }
+  },
+  
+  _dispatchContacts: {
+    value: function (previous, current, enterEvent, stayEvent, exitEvent) {
+      var canNotify = (obj) => obj.scene === this && !obj.pendingDestroy;
+      var isResting = (obj) => obj.sleeping || obj.fixed;
+      var resting   = [];
+      
+      // Ended contacts go first so that moving from one contact straight to
+      // another reads in order
+      for (let key in previous) {
+        if (!current[key]) {
+          var ended = previous[key];
+          
+          // Contacts between sleeping objects aren't checked anymore, so
+          // they're kept as they were
+          if ((ended.self.sleeping || ended.other.sleeping) &&
+              isResting(ended.self) && isResting(ended.other) &&
+              canNotify(ended.self) && canNotify(ended.other)) {
+            resting.push(key);
+            continue;
+          }
+          
+          if (canNotify(ended.self)) {
+            ended.self.notifyContact(exitEvent, ended.other, ended.collisionData);
+          }
+        }
+      }
+      
+      for (let key in current) {
+        var contact = current[key];
+        
+        if (canNotify(contact.self)) {
+          contact.self.notifyContact(
+            previous[key] ? stayEvent : enterEvent,
+            contact.other,
+            contact.collisionData
+          );
+        }
+      }
+      
+      for (let key of resting) {
+        current[key] = previous[key];
+      }
+    }
+  },
+  
   _onResize: {
     value: function (e) {
       this._bucketConfig.forceCalc = true;
@@ -1,15 +1,28 @@
 "use strict";
 
+const hasDom = require('../pixi/hasDom.js');
+
+// Whether or not canvas is supported. Checked the first time a canvas is
+// created so that this module can be loaded without a DOM
+var canvasSupported;
+
 /**
  * Check for canvas support
  */
-var canvasSupported = (function () {
-  var elem = document.createElement('canvas');
-  return !!(elem.getContext && elem.getContext('2d'));
-})();
-if (!canvasSupported) {
-  console.log("Canvas is not supported");
-}
+var isSupported = function () {
+  if (typeof canvasSupported === 'undefined') {
+    canvasSupported = hasDom && (function () {
+      var elem = document.createElement('canvas');
+      return !!(elem.getContext && elem.getContext('2d'));
+    })();
+    
+    if (!canvasSupported) {
+      console.log("Canvas is not supported");
+    }
+  }
+  
+  return canvasSupported;
+};
 
 /**
  * Stores constants in Canvas object
@@ -30,7 +43,7 @@ var Canvas = Object.create({}, {
 var create = function (canvasDomObject) {
   this.domObject = undefined;
 
-  if (canvasSupported) {
+  if (isSupported()) {
     // If the passed in argument is a Canvas, use it
     if (canvasDomObject instanceof HTMLCanvasElement) {
       this.domObject = canvasDomObject;
@@ -49,5 +62,8 @@ var create = function (canvasDomObject) {
 };
 
 module.exports = {
-  create : create
+  DEFAULT_WIDTH  : Canvas.DEFAULT_WIDTH,
+  DEFAULT_HEIGHT : Canvas.DEFAULT_HEIGHT,
+  isSupported    : isSupported,
+  create         : create
 };
\ No newline at end of file
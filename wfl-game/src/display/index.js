@@ -2,12 +2,14 @@
 
 var cameras = require('./cameras');
 var backgrounds = require('./backgrounds');
+var transitions = require('./transitions');
 var canvas = require('./canvas.js');
 var Scene = require('./Scene.js');
 
 module.exports = {
     cameras     : cameras,
     backgrounds : backgrounds,
+    transitions : transitions,
     canvas      : canvas,
     Scene       : Scene
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+"use strict";
+
+var Transition = require('./Transition.js');
+
+/**
+ * Fades out the previous scene, then fades in the next scene
+ */
+var FadeTransition = function (options = {}) {
+  Transition.call(this, options);
+};
+
+FadeTransition.prototype = Object.freeze(Object.create(Transition.prototype, {
+  apply: {
+    value: function (fromStage, toStage, progress, renderer) {
+      fromStage.alpha = Math.max(1 - progress * 2, 0);
+      toStage.alpha   = Math.max(progress * 2 - 1, 0);
+    }
+  }
+}));
+
+Object.freeze(FadeTransition);
+
+module.exports = FadeTransition;
\ No newline at end of file
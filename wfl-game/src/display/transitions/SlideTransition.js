@@ -0,0 +1,61 @@
+"use strict";
+
+var Transition = require('./Transition.js');
+
+/**
+ * Slides the next scene in while the previous scene slides out
+ *
+ * Options:
+ * - direction: The direction the scenes move in ("left", "right", "up" or
+ *              "down")
+ */
+var SlideTransition = function (options = {}) {
+  Transition.call(this, options);
+  
+  this.direction = options.direction || SlideTransition.Direction.LEFT;
+};
+
+Object.defineProperties(SlideTransition, {
+  Direction: {
+    value: Object.freeze({
+      LEFT:  "left",
+      RIGHT: "right",
+      UP:    "up",
+      DOWN:  "down"
+    })
+  }
+});
+
+SlideTransition.prototype = Object.freeze(Object.create(Transition.prototype, {
+  apply: {
+    value: function (fromStage, toStage, progress, renderer) {
+      var dx = 0;
+      var dy = 0;
+      
+      switch (this.direction) {
+      case SlideTransition.Direction.RIGHT:
+        dx = renderer.width;
+        break;
+      case SlideTransition.Direction.UP:
+        dy = -renderer.height;
+        break;
+      case SlideTransition.Direction.DOWN:
+        dy = renderer.height;
+        break;
+      default:
+        dx = -renderer.width;
+      }
+      
+      // The stages' positions are set by the scenes every time they're drawn,
+      // so the offsets are added on top
+      fromStage.x += dx * progress;
+      fromStage.y += dy * progress;
+      toStage.x   -= dx * (1 - progress);
+      toStage.y   -= dy * (1 - progress);
+    }
+  }
+}));
+
+Object.freeze(SlideTransition);
+
+module.exports = SlideTransition;
\ No newline at end of file
@@ -0,0 +1,65 @@
+"use strict";
+
+/**
+ * Base for animated transitions between two scenes. Both scenes' stages are
+ * drawn while the transition runs, and apply() adjusts them based on how far
+ * along the transition is
+ *
+ * Options:
+ * - duration: How long the transition lasts, in frames
+ */
+var Transition = function (options = {}) {
+  this.duration = options.duration || Transition.DEFAULT_DURATION;
+  this.elapsed  = 0;
+};
+
+Object.defineProperties(Transition, {
+  DEFAULT_DURATION: {
+    value: 30
+  }
+});
+
+Transition.prototype = Object.freeze(Object.create(Transition.prototype, {
+  /**
+   * Returns how far along the transition is, from 0 to 1
+   */
+  getProgress: {
+    value: function () {
+      return Math.min(this.elapsed / this.duration, 1);
+    }
+  },
+  
+  isComplete: {
+    value: function () {
+      return this.elapsed >= this.duration;
+    }
+  },
+  
+  update: {
+    value: function (dt) {
+      this.elapsed += dt;
+    }
+  },
+  
+  /**
+   * Adjusts the scenes' stages for the given progress. Called after both
+   * scenes have been drawn
+   */
+  apply: {
+    value: function (fromStage, toStage, progress, renderer) { }
+  },
+  
+  /**
+   * Undoes any changes made to the scenes' stages
+   */
+  reset: {
+    value: function (fromStage, toStage) {
+      fromStage.alpha = 1;
+      toStage.alpha   = 1;
+    }
+  }
+}));
+
+Object.freeze(Transition);
+
+module.exports = Transition;
\ No newline at end of file
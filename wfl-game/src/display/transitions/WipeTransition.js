@@ -0,0 +1,77 @@
+"use strict";
+
+const PIXI = require('../../pixi');
+
+var Transition      = require('./Transition.js');
+var SlideTransition = require('./SlideTransition.js');
+
+/**
+ * Reveals the next scene over the previous scene with a moving edge
+ *
+ * Options:
+ * - direction: The direction the edge moves in ("left", "right", "up" or
+ *              "down")
+ */
+var WipeTransition = function (options = {}) {
+  Transition.call(this, options);
+  
+  this.direction = options.direction || WipeTransition.Direction.RIGHT;
+  this._mask     = new PIXI.Graphics();
+};
+
+Object.defineProperties(WipeTransition, {
+  Direction: {
+    value: SlideTransition.Direction
+  }
+});
+
+WipeTransition.prototype = Object.freeze(Object.create(Transition.prototype, {
+  apply: {
+    value: function (fromStage, toStage, progress, renderer) {
+      var w = renderer.width;
+      var h = renderer.height;
+      
+      // The mask is drawn in screen space, so it's added next to the stage
+      // instead of in it
+      if (!this._mask.parent && toStage.parent) {
+        toStage.parent.addChild(this._mask);
+      }
+      
+      this._mask.clear();
+      this._mask.beginFill(0xFFFFFF);
+      
+      switch (this.direction) {
+      case WipeTransition.Direction.LEFT:
+        this._mask.drawRect(w * (1 - progress), 0, w * progress, h);
+        break;
+      case WipeTransition.Direction.UP:
+        this._mask.drawRect(0, h * (1 - progress), w, h * progress);
+        break;
+      case WipeTransition.Direction.DOWN:
+        this._mask.drawRect(0, 0, w, h * progress);
+        break;
+      default:
+        this._mask.drawRect(0, 0, w * progress, h);
+      }
+      
+      this._mask.endFill();
+      toStage.mask = this._mask;
+    }
+  },
+  
+  reset: {
+    value: function (fromStage, toStage) {
+      Transition.prototype.reset.call(this, fromStage, toStage);
+      
+      toStage.mask = null;
+      
+      if (this._mask.parent) {
+        this._mask.parent.removeChild(this._mask);
+      }
+    }
+  }
+}));
+
+Object.freeze(WipeTransition);
+
+module.exports = WipeTransition;
\ No newline at end of file
@@ -0,0 +1,40 @@
+"use strict";
+
+var Transition      = require('./Transition.js');
+var FadeTransition  = require('./FadeTransition.js');
+var SlideTransition = require('./SlideTransition.js');
+var WipeTransition  = require('./WipeTransition.js');
+
+// Transitions that can be referred to by name, such as in Scene.change()
+var builtIn = {
+  fade:  FadeTransition,
+  slide: SlideTransition,
+  wipe:  WipeTransition
+};
+
+/**
+ * Creates a transition from its name, or returns the given transition if it
+ * already is one
+ */
+var create = function (transition, options = {}) {
+  if (transition instanceof Transition) {
+    return transition;
+  }
+  
+  var TransitionType = builtIn[transition];
+  
+  if (!TransitionType) {
+    console.error("Unknown scene transition: " + transition);
+    return new Transition(options);
+  }
+  
+  return new TransitionType(options);
+};
+
+module.exports = {
+  Transition      : Transition,
+  FadeTransition  : FadeTransition,
+  SlideTransition : SlideTransition,
+  WipeTransition  : WipeTransition,
+  create          : create
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+"use strict";
+
+var Vec2    = require('./Vec2.js');
+var segment = require('./segment.js');
+
+/**
+ * A capsule collision shape: every point within "radius" of the segment from
+ * "start" to "end". The segment is relative to its game object's position
+ */
+var Capsule = function (radius = 0, start = new Vec2(), end = new Vec2()) {
+  this.radius = radius;
+  this.start  = start;
+  this.end    = end;
+};
+
+Object.defineProperties(Capsule, {
+  /**
+   * Creates a capsule that fills a width x height box centered on its game
+   * object, lying along the box's longer side
+   */
+  fromSize: {
+    value: function (width, height) {
+      var radius     = Math.min(width, height) * 0.5;
+      var halfLength = Math.max(width, height) * 0.5 - radius;
+
+      if (width > height) {
+        return new Capsule(radius, new Vec2(-halfLength, 0), new Vec2(halfLength, 0));
+      }
+
+      return new Capsule(radius, new Vec2(0, -halfLength), new Vec2(0, halfLength));
+    }
+  }
+});
+
+Capsule.prototype = Object.freeze(Object.create(Capsule.prototype, {
+  /**
+   * Gets the segment at the core of this shape in world coordinates, where
+   * (x, y) is the game object's position
+   */
+  getSegment: {
+    value: function (x, y, out = {}) {
+      out.x0 = this.start._x + x;
+      out.y0 = this.start._y + y;
+      out.x1 = this.end._x + x;
+      out.y1 = this.end._y + y;
+      return out;
+    }
+  },
+
+  /**
+   * Gets the min and max of this shape projected onto a normalized axis
+   */
+  projectOntoAxis: {
+    value: function (axis, x, y) {
+      var p0 = (this.start._x + x) * axis.x + (this.start._y + y) * axis.y;
+      var p1 = (this.end._x   + x) * axis.x + (this.end._y   + y) * axis.y;
+
+      return {
+        min: Math.min(p0, p1) - this.radius,
+        max: Math.max(p0, p1) + this.radius
+      };
+    }
+  },
+
+  /**
+   * Gets the bounding box of this shape relative to its game object
+   */
+  getBounds: {
+    value: function () {
+      return {
+        minX: Math.min(this.start._x, this.end._x) - this.radius,
+        minY: Math.min(this.start._y, this.end._y) - this.radius,
+        maxX: Math.max(this.start._x, this.end._x) + this.radius,
+        maxY: Math.max(this.start._y, this.end._y) + this.radius
+      };
+    }
+  },
+
+  containsPoint: {
+    value: function (px, py, x = 0, y = 0) {
+      var closest = segment.closestPointOnSegment(
+        px, py,
+        this.start._x + x, this.start._y + y,
+        this.end._x   + x, this.end._y   + y
+      );
+      var dx = px - closest.x;
+      var dy = py - closest.y;
+
+      return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+  },
+
+  rotate: {
+    value: function (theta) {
+      this.start.rotate(theta);
+      this.end.rotate(theta);
+      return this;
+    }
+  },
+
+  reflect: {
+    value: function (nx, ny) {
+      this.start.reflect(nx, ny);
+      this.end.reflect(nx, ny);
+      return this;
+    }
+  },
+
+  clone: {
+    value: function () {
+      return new Capsule(this.radius, this.start.clone(), this.end.clone());
+    }
+  }
+}));
+
+Object.freeze(Capsule);
+
+module.exports = Capsule;
\ No newline at end of file
@@ -0,0 +1,88 @@
+"use strict";
+
+var Vec2 = require('./Vec2.js');
+
+/**
+ * A circular collision shape. The offset is the circle's center relative to
+ * its game object's position
+ */
+var Circle = function (radius = 0, offset = new Vec2()) {
+  this.radius = radius;
+  this.offset = offset;
+};
+
+Circle.prototype = Object.freeze(Object.create(Circle.prototype, {
+  /**
+   * Gets the segment at the core of this shape in world coordinates, where
+   * (x, y) is the game object's position. For a circle, both ends are the
+   * center
+   */
+  getSegment: {
+    value: function (x, y, out = {}) {
+      out.x0 = out.x1 = this.offset._x + x;
+      out.y0 = out.y1 = this.offset._y + y;
+      return out;
+    }
+  },
+
+  /**
+   * Gets the min and max of this shape projected onto a normalized axis
+   */
+  projectOntoAxis: {
+    value: function (axis, x, y) {
+      var center = (this.offset._x + x) * axis.x + (this.offset._y + y) * axis.y;
+
+      return {
+        min: center - this.radius,
+        max: center + this.radius
+      };
+    }
+  },
+
+  /**
+   * Gets the bounding box of this shape relative to its game object
+   */
+  getBounds: {
+    value: function () {
+      return {
+        minX: this.offset._x - this.radius,
+        minY: this.offset._y - this.radius,
+        maxX: this.offset._x + this.radius,
+        maxY: this.offset._y + this.radius
+      };
+    }
+  },
+
+  containsPoint: {
+    value: function (px, py, x = 0, y = 0) {
+      var dx = px - (this.offset._x + x);
+      var dy = py - (this.offset._y + y);
+
+      return dx * dx + dy * dy <= this.radius * this.radius;
+    }
+  },
+
+  rotate: {
+    value: function (theta) {
+      this.offset.rotate(theta);
+      return this;
+    }
+  },
+
+  reflect: {
+    value: function (nx, ny) {
+      this.offset.reflect(nx, ny);
+      return this;
+    }
+  },
+
+  clone: {
+    value: function () {
+      return new Circle(this.radius, this.offset.clone());
+    }
+  }
+}));
+
+Object.freeze(Circle);
+
+module.exports = Circle;
\ No newline at end of file
@@ -1,6 +1,6 @@
 "use strict";
 
-const PIXI = require('pixi.js');
+const PIXI = require('../pixi');
 var Vec2 = require('./Vec2');
 
 // 2-D Vector that inherits from PIXI's ObservablePoint and WFL's Vec2
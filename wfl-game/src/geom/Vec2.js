@@ -142,6 +142,20 @@ Vec2.prototype = Object.create(Vec2.prototype, {
         enumerable: true
     },
     
+    /**
+     * Mirrors this vector across the line (through the origin) that is
+     * perpendicular to the unit vector (nx, ny)
+     */
+    reflect : {
+        value : function (nx, ny) {
+            var dot = this._x * nx + this._y * ny;
+            this._x -= 2 * dot * nx;
+            this._y -= 2 * dot * ny;
+            return this;
+        },
+        enumerable: true
+    },
+    
     getDirection : {
         value : function () {
             var mag = this.getMagnitude();
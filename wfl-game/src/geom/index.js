@@ -2,8 +2,18 @@
 
 var Vec2           = require('./Vec2.js');
 var ObservableVec2 = require('./ObservableVec2.js');
+var Circle         = require('./Circle.js');
+var Capsule        = require('./Capsule.js');
+var segment        = require('./segment.js');
+var polygon        = require('./polygon.js');
+var ray            = require('./ray.js');
 
 module.exports = {
     Vec2:           Vec2,
-    ObservableVec2: ObservableVec2
+    ObservableVec2: ObservableVec2,
+    Circle:         Circle,
+    Capsule:        Capsule,
+    segment:        segment,
+    polygon:        polygon,
+    ray:            ray
 };
\ No newline at end of file
@@ -0,0 +1,383 @@
+"use strict";
+
+var Vec2    = require('./Vec2.js');
+var segment = require('./segment.js');
+
+// Cross products smaller than this are treated as collinear
+const EPSILON = 0.000001;
+
+/**
+ * Helpers for polygons given as arrays of Vec2 vertices. A positive area
+ * means the vertices go clockwise on screen (with y pointing down), which is
+ * the winding used by FrameObject's default vertices
+ */
+
+var signedArea = function (vertices) {
+  var area = 0;
+
+  for (var i = 0; i < vertices.length; i++) {
+    var v0 = vertices[i];
+    var v1 = vertices[(i + 1) % vertices.length];
+    area  += v0._x * v1._y - v1._x * v0._y;
+  }
+
+  return area * 0.5;
+};
+
+// Cross product of AB and BC. Positive when B is a convex corner of a
+// polygon with a positive area
+var cornerCross = function (a, b, c) {
+  return (b._x - a._x) * (c._y - b._y) - (b._y - a._y) * (c._x - b._x);
+};
+
+var isConvex = function (vertices) {
+  if (vertices.length < 4) {
+    return true;
+  }
+
+  var sign = signedArea(vertices) < 0 ? -1 : 1;
+
+  for (var i = 0; i < vertices.length; i++) {
+    var cross = cornerCross(
+      vertices[(i + vertices.length - 1) % vertices.length],
+      vertices[i],
+      vertices[(i + 1) % vertices.length]
+    );
+
+    if (cross * sign < -EPSILON) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+var triangleContainsPoint = function (a, b, c, p) {
+  return cornerCross(a, b, p) >= 0 &&
+         cornerCross(b, c, p) >= 0 &&
+         cornerCross(c, a, p) >= 0;
+};
+
+/**
+ * Splits a simple polygon into triangles by ear clipping. Returns arrays of
+ * indices into the vertices, wound with a positive area
+ */
+var triangulate = function (vertices) {
+  var remaining = vertices.map((v, i) => i);
+  var triangles = [];
+
+  if (signedArea(vertices) < 0) {
+    remaining.reverse();
+  }
+
+  while (remaining.length > 3) {
+    var total    = remaining.length;
+    var earIndex = -1;
+
+    for (var i = 0; i < total && earIndex < 0; i++) {
+      var prev = vertices[remaining[(i + total - 1) % total]];
+      var cur  = vertices[remaining[i]];
+      var next = vertices[remaining[(i + 1) % total]];
+
+      // Reflex corners can't be ears
+      if (cornerCross(prev, cur, next) <= EPSILON) {
+        continue;
+      }
+
+      // Ears can't contain any other vertex of the polygon
+      var isEar = true;
+      for (var j = 0; j < total && isEar; j++) {
+        var other = vertices[remaining[j]];
+
+        if (other !== prev && other !== cur && other !== next &&
+            triangleContainsPoint(prev, cur, next, other)) {
+          isEar = false;
+        }
+      }
+
+      if (isEar) {
+        earIndex = i;
+      }
+    }
+
+    // Degenerate polygons may not have a proper ear, so clip any corner to
+    // keep making progress
+    if (earIndex < 0) {
+      earIndex = 0;
+    }
+
+    triangles.push([
+      remaining[(earIndex + total - 1) % total],
+      remaining[earIndex],
+      remaining[(earIndex + 1) % total]
+    ]);
+    remaining.splice(earIndex, 1);
+  }
+
+  if (remaining.length === 3) {
+    triangles.push(remaining);
+  }
+
+  return triangles;
+};
+
+var rotateIndices = function (indices, start) {
+  return indices.slice(start).concat(indices.slice(0, start));
+};
+
+var toVertices = function (indices, vertices) {
+  return indices.map((i) => vertices[i]);
+};
+
+/**
+ * Splits a simple (possibly concave) polygon into convex parts by ear
+ * clipping, then merging triangles back together wherever the result stays
+ * convex (Hertel-Mehlhorn). Returns arrays of new vertices, wound with a
+ * positive area
+ */
+var decompose = function (vertices) {
+  var parts  = triangulate(vertices);
+  var merged = true;
+
+  while (merged) {
+    merged = false;
+
+    for (var i = 0; i < parts.length && !merged; i++) {
+      for (var j = i + 1; j < parts.length && !merged; j++) {
+        var p = parts[i];
+        var q = parts[j];
+
+        // Look for a diagonal shared by both parts: edge AB in p is BA in q
+        for (var k = 0; k < p.length && !merged; k++) {
+          var a  = p[k];
+          var b  = p[(k + 1) % p.length];
+          var qb = q.indexOf(b);
+
+          if (qb < 0 || q[(qb + 1) % q.length] !== a) {
+            continue;
+          }
+
+          // Walk p from B around to A, then q from after A to before B
+          var pFromB = rotateIndices(p, (k + 1) % p.length);
+          var qFromA = rotateIndices(q, (qb + 1) % q.length);
+          var joined = pFromB.concat(qFromA.slice(1, -1));
+
+          if (isConvex(toVertices(joined, vertices))) {
+            parts[i] = joined;
+            parts.splice(j, 1);
+            merged = true;
+          }
+        }
+      }
+    }
+  }
+
+  return parts.map((indices) => {
+    var part = toVertices(indices, vertices);
+
+    // Drop corners left over from removed diagonals that are now collinear
+    part = part.filter((v, n) => {
+      var prev = part[(n + part.length - 1) % part.length];
+      var next = part[(n + 1) % part.length];
+      return Math.abs(cornerCross(prev, v, next)) > EPSILON;
+    });
+
+    return part.map((v) => new Vec2(v._x, v._y));
+  });
+};
+
+/**
+ * Returns whether or not the point is inside the polygon, using the crossing
+ * number so that concave polygons work too
+ */
+var containsPoint = function (vertices, x, y) {
+  var inside = false;
+
+  for (var i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    var vi = vertices[i];
+    var vj = vertices[j];
+
+    if ((vi._y > y) !== (vj._y > y) &&
+        x < (vj._x - vi._x) * (y - vi._y) / (vj._y - vi._y) + vi._x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Finds the convex hull of a set of points (monotone chain). Returns new
+ * vertices, wound with a positive area
+ */
+var convexHull = function (points) {
+  var sorted = points.slice().sort((a, b) => a._x - b._x || a._y - b._y);
+  var lower  = [];
+  var upper  = [];
+
+  for (let p of sorted) {
+    while (lower.length >= 2 &&
+           cornerCross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+
+  for (var i = sorted.length - 1; i >= 0; i--) {
+    var p = sorted[i];
+
+    while (upper.length >= 2 &&
+           cornerCross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+
+  // The last point of each chain is the first point of the other
+  lower.pop();
+  upper.pop();
+
+  return lower.concat(upper).map((v) => new Vec2(v._x, v._y));
+};
+
+// Douglas-Peucker: keeps the point between "first" and "last" that's
+// farthest from the line between them (if it's far enough), then repeats on
+// both sides of it
+var simplifyRange = function (points, first, last, tolerance, keep) {
+  var closest     = {x: 0, y: 0};
+  var maxDistance = 0;
+  var farthest    = -1;
+
+  for (var i = first + 1; i < last; i++) {
+    segment.closestPointOnSegment(
+      points[i]._x, points[i]._y,
+      points[first]._x, points[first]._y,
+      points[last]._x, points[last]._y,
+      closest
+    );
+
+    var dx       = points[i]._x - closest.x;
+    var dy       = points[i]._y - closest.y;
+    var distance = dx * dx + dy * dy;
+
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      farthest    = i;
+    }
+  }
+
+  if (farthest >= 0 && maxDistance > tolerance * tolerance) {
+    keep[farthest] = true;
+    simplifyRange(points, first, farthest, tolerance, keep);
+    simplifyRange(points, farthest, last, tolerance, keep);
+  }
+};
+
+/**
+ * Removes vertices that are within "tolerance" of the outline made by the
+ * rest (Douglas-Peucker). Returns new vertices
+ */
+var simplify = function (vertices, tolerance = 1) {
+  if (vertices.length <= 3) {
+    return vertices.map((v) => new Vec2(v._x, v._y));
+  }
+
+  // Closed outlines are split in two at the vertex farthest from the first,
+  // and each half is simplified on its own
+  var split       = 0;
+  var maxDistance = 0;
+
+  for (var i = 1; i < vertices.length; i++) {
+    var dx       = vertices[i]._x - vertices[0]._x;
+    var dy       = vertices[i]._y - vertices[0]._y;
+    var distance = dx * dx + dy * dy;
+
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      split       = i;
+    }
+  }
+
+  var points = vertices.concat([vertices[0]]);
+  var keep   = {0: true};
+
+  keep[split] = true;
+  simplifyRange(points, 0, split, tolerance, keep);
+  simplifyRange(points, split, vertices.length, tolerance, keep);
+
+  var simplified = [];
+
+  for (var j = 0; j < vertices.length; j++) {
+    if (keep[j]) {
+      simplified.push(new Vec2(vertices[j]._x, vertices[j]._y));
+    }
+  }
+
+  return simplified;
+};
+
+// Gets the normals of the polygon's edges, as plain {x, y} objects
+var getAxes = function (vertices) {
+  var axes = [];
+
+  for (var i = 0; i < vertices.length; i++) {
+    var v0     = vertices[i];
+    var v1     = vertices[(i + 1) % vertices.length];
+    var normal = {x: v1._y - v0._y, y: v0._x - v1._x};
+    var length = Math.sqrt(normal.x * normal.x + normal.y * normal.y);
+
+    if (length > 0) {
+      axes.push({x: normal.x / length, y: normal.y / length});
+    }
+  }
+
+  return axes;
+};
+
+/**
+ * Returns whether or not two convex polygons overlap, using the Separating
+ * Axis Test
+ */
+var overlaps = function (a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return false;
+  }
+
+  for (let axis of getAxes(a).concat(getAxes(b))) {
+    var minA =  Infinity;
+    var maxA = -Infinity;
+    var minB =  Infinity;
+    var maxB = -Infinity;
+
+    for (let v of a) {
+      var dotA = v._x * axis.x + v._y * axis.y;
+      minA = Math.min(minA, dotA);
+      maxA = Math.max(maxA, dotA);
+    }
+
+    for (let v of b) {
+      var dotB = v._x * axis.x + v._y * axis.y;
+      minB = Math.min(minB, dotB);
+      maxB = Math.max(maxB, dotB);
+    }
+
+    // If the projections don't overlap, there is a separating axis
+    if (maxA < minB || maxB < minA) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  signedArea    : signedArea,
+  isConvex      : isConvex,
+  triangulate   : triangulate,
+  decompose     : decompose,
+  containsPoint : containsPoint,
+  convexHull    : convexHull,
+  simplify      : simplify,
+  getAxes       : getAxes,
+  overlaps      : overlaps
+};
\ No newline at end of file
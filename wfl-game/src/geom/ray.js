@@ -0,0 +1,175 @@
+"use strict";
+
+var Vec2    = require('./Vec2.js');
+var segment = require('./segment.js');
+var polygon = require('./polygon.js');
+
+/**
+ * Ray casting helpers. Rays are given as an origin and a normalized direction,
+ * and distances are measured along the direction
+ */
+
+/**
+ * Gets the distance along the ray to segment AB, or Infinity if it's missed
+ */
+var castSegment = function (ox, oy, dx, dy, ax, ay, bx, by) {
+  var ex    = bx - ax;
+  var ey    = by - ay;
+  var denom = dx * ey - dy * ex;
+
+  // Parallel rays never cross the segment
+  if (denom === 0) {
+    return Infinity;
+  }
+
+  var wx = ax - ox;
+  var wy = ay - oy;
+  var t  = (wx * ey - wy * ex) / denom;
+  var u  = (wx * dy - wy * dx) / denom;
+
+  if (t < 0 || u < 0 || u > 1) {
+    return Infinity;
+  }
+
+  return t;
+};
+
+/**
+ * Gets the distance along the ray to a circle, or Infinity if it's missed
+ */
+var castCircle = function (ox, oy, dx, dy, cx, cy, radius) {
+  var mx = ox - cx;
+  var my = oy - cy;
+  var b  = mx * dx + my * dy;
+  var c  = mx * mx + my * my - radius * radius;
+
+  // Starting outside the circle and pointing away from it
+  if (c > 0 && b > 0) {
+    return Infinity;
+  }
+
+  var discriminant = b * b - c;
+  if (discriminant < 0) {
+    return Infinity;
+  }
+
+  return Math.max(0, -b - Math.sqrt(discriminant));
+};
+
+/**
+ * Returns whether or not the point is within "radius" of the polygon (or
+ * inside it)
+ */
+var isNearPolygon = function (points, x, y, radius) {
+  if (points.length >= 3 && polygon.containsPoint(points, x, y)) {
+    return true;
+  }
+
+  if (radius > 0) {
+    for (var i = 0; i < points.length; i++) {
+      var a       = points[i];
+      var b       = points[(i + 1) % points.length];
+      var closest = segment.closestPointOnSegment(x, y, a._x, a._y, b._x, b._y);
+      var distX   = x - closest.x;
+      var distY   = y - closest.y;
+
+      if (distX * distX + distY * distY <= radius * radius) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Casts a ray against a polygon grown by "radius" (which is how circles and
+ * capsules are cast against, and how swept circles are cast). The polygon can
+ * be concave, and can have 1 or 2 points for circles and capsules. Returns
+ * {distance, normal} for the first hit within maxDistance, or null
+ */
+var castPolygon = function (origin, direction, maxDistance, points, radius = 0) {
+  var ox = origin._x;
+  var oy = origin._y;
+  var dx = direction._x;
+  var dy = direction._y;
+
+  // Rays starting inside hit right away
+  if (isNearPolygon(points, ox, oy, radius)) {
+    return {
+      distance: 0,
+      normal:   new Vec2(-dx, -dy)
+    };
+  }
+
+  var closest = Infinity;
+  var normalX = 0;
+  var normalY = 0;
+
+  for (var i = 0; i < points.length && points.length > 1; i++) {
+    var a      = points[i];
+    var b      = points[(i + 1) % points.length];
+    var edgeX  = b._x - a._x;
+    var edgeY  = b._y - a._y;
+    var length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+
+    if (length === 0) {
+      continue;
+    }
+
+    var nx = edgeY / length;
+    var ny = -edgeX / length;
+
+    // Without a radius, only the side facing the ray can be hit
+    if (radius === 0 && nx * dx + ny * dy > 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+
+    // With a radius, the edge is pushed out to both sides. Only the outer
+    // copy can be hit first, since the inner copy is inside the grown polygon
+    for (let side of (radius === 0 ? [1] : [1, -1])) {
+      var offsetX = nx * side * radius;
+      var offsetY = ny * side * radius;
+      var t       = castSegment(
+        ox, oy, dx, dy,
+        a._x + offsetX, a._y + offsetY,
+        b._x + offsetX, b._y + offsetY
+      );
+
+      if (t < closest) {
+        closest = t;
+        normalX = nx * side;
+        normalY = ny * side;
+      }
+    }
+  }
+
+  // Rounded corners
+  if (radius > 0) {
+    for (let p of points) {
+      var cornerT = castCircle(ox, oy, dx, dy, p._x, p._y, radius);
+
+      if (cornerT < closest) {
+        closest = cornerT;
+        normalX = (ox + dx * cornerT - p._x) / radius;
+        normalY = (oy + dy * cornerT - p._y) / radius;
+      }
+    }
+  }
+
+  if (closest > maxDistance) {
+    return null;
+  }
+
+  return {
+    distance: closest,
+    normal:   new Vec2(normalX, normalY)
+  };
+};
+
+module.exports = {
+  castSegment : castSegment,
+  castCircle  : castCircle,
+  castPolygon : castPolygon
+};
\ No newline at end of file
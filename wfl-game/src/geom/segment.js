@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Helpers for line segments. These work with plain {x, y} objects (instead of
+ * Vec2s) since they're used in the narrow phase of collision detection
+ */
+
+/**
+ * Finds the point on segment AB that is closest to point P. Returns the
+ * parameter t along the segment (from 0 at A to 1 at B) and stores the point
+ * in "out"
+ */
+var closestPointOnSegment = function (px, py, ax, ay, bx, by, out = {x: 0, y: 0}) {
+  var abx       = bx - ax;
+  var aby       = by - ay;
+  var lengthSqr = abx * abx + aby * aby;
+  var t         = 0;
+
+  if (lengthSqr > 0) {
+    t = ((px - ax) * abx + (py - ay) * aby) / lengthSqr;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  out.x = ax + abx * t;
+  out.y = ay + aby * t;
+  out.t = t;
+
+  return out;
+};
+
+/**
+ * Finds the closest points between segments P0P1 and Q0Q1. The points are
+ * stored in "outP" and "outQ"
+ *
+ * Reference: Real-Time Collision Detection by Christer Ericson, 5.1.9
+ */
+var closestPointsBetweenSegments = function (p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y, outP = {x: 0, y: 0}, outQ = {x: 0, y: 0}) {
+  var d1x = p1x - p0x;
+  var d1y = p1y - p0y;
+  var d2x = q1x - q0x;
+  var d2y = q1y - q0y;
+  var rx  = p0x - q0x;
+  var ry  = p0y - q0y;
+  var a   = d1x * d1x + d1y * d1y;
+  var e   = d2x * d2x + d2y * d2y;
+  var f   = d2x * rx + d2y * ry;
+  var s   = 0;
+  var t   = 0;
+
+  if (a === 0 && e === 0) {
+    s = t = 0;
+  } else if (a === 0) {
+    t = Math.max(0, Math.min(1, f / e));
+  } else {
+    var c = d1x * rx + d1y * ry;
+
+    if (e === 0) {
+      s = Math.max(0, Math.min(1, -c / a));
+    } else {
+      var b     = d1x * d2x + d1y * d2y;
+      var denom = a * e - b * b;
+
+      // If the segments are parallel, any s will do, so pick 0
+      if (denom !== 0) {
+        s = Math.max(0, Math.min(1, (b * f - c * e) / denom));
+      }
+
+      t = (b * s + f) / e;
+
+      if (t < 0) {
+        t = 0;
+        s = Math.max(0, Math.min(1, -c / a));
+      } else if (t > 1) {
+        t = 1;
+        s = Math.max(0, Math.min(1, (b - c) / a));
+      }
+    }
+  }
+
+  outP.x = p0x + d1x * s;
+  outP.y = p0y + d1y * s;
+  outQ.x = q0x + d2x * t;
+  outQ.y = q0y + d2y * t;
+
+  return outP;
+};
+
+module.exports = {
+  closestPointOnSegment        : closestPointOnSegment,
+  closestPointsBetweenSegments : closestPointsBetweenSegments
+};
\ No newline at end of file
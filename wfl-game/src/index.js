@@ -9,8 +9,8 @@ const geom          = require('./geom');
 const debug         = require('./debug');
 const datastructure = require('./datastructure');
 
-const create = function (canvas) {
-  return new core.Game(canvas);
+const create = function (canvas, options) {
+  return new core.Game(canvas, options);
 };
 
 module.exports = {
@@ -26,7 +26,7 @@ module.exports = {
   jquery:        require('jquery'),
   
   // Consistent reference for PIXI
-  PIXI:          require('pixi.js'),
+  PIXI:          require('./pixi'),
 
   create:        create
 };
\ No newline at end of file
@@ -1,7 +1,10 @@
-"use strict"
+"use strict";
 
 var $ = require('jquery');
 
+// jQuery can only be used with a (real) window
+var hasDom = require('../pixi/hasDom.js');
+
 var keys = Object.create({}, {
     /**
      *  Letters
@@ -310,6 +313,24 @@ Keyboard.prototype = Object.freeze(Object.create(keys, {
         }
     },
 
+    /**
+     * Simulates pressing the given key
+     */
+    press : {
+        value : function (keyCode) {
+            this._onKeyDown({keyCode : keyCode});
+        }
+    },
+
+    /**
+     * Simulates releasing the given key
+     */
+    release : {
+        value : function (keyCode) {
+            this._onKeyUp({keyCode : keyCode});
+        }
+    },
+
     /**
      * To be called at the end of every frame
      */
@@ -340,7 +361,7 @@ Keyboard.prototype = Object.freeze(Object.create(keys, {
             this.isOn = false;
             this.clear();
 
-            if (window) {
+            if (hasDom) {
                 $(window).off("keydown");
                 $(window).off("keyup");
             }
@@ -354,7 +375,7 @@ Keyboard.prototype = Object.freeze(Object.create(keys, {
         value : function () {
             this.isOn = true;
 
-            if (window) {
+            if (hasDom) {
                 // Clear listeners first, just so we never have multiple
                 $(window).off("keydown");
                 $(window).off("keyup");
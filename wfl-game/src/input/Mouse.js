@@ -2,7 +2,14 @@
 
 var $ = require('jquery');
 
-var Mouse = function (canvas) {
+// jQuery can only be used with a (real) document
+var hasDocument = require('../pixi/hasDom.js');
+
+/**
+ * If listen is false, the mouse isn't bound to the DOM at all, and is only a
+ * holder for button states (such as in a headless game)
+ */
+var Mouse = function (canvas, listen = true) {
     this._canvas = undefined;
     this._states = [];
     this._states[1] = this._createState(1); // Left
@@ -16,13 +23,16 @@ var Mouse = function (canvas) {
 
     this.position = {x: -Infinity, y: -Infinity};
     this.touchingCanvas = false;
+    this.listening = listen && hasDocument;
 
     // If a canvas is passed in, add listeners to it
     if (canvas) {
         this.setCanvas(canvas);
     }
 
-    $(document).on("mouseup", this._onUp.bind(this));
+    if (this.listening) {
+        $(document).on("mouseup", this._onUp.bind(this));
+    }
 };
 
 Object.defineProperties(Mouse, {
@@ -45,7 +55,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
     setCanvas : {
         value : function (canvas) {
             // Remove bindings from old canvas if it existed
-            if (this._canvas) {
+            if (this._canvas && this.listening) {
                 $(this._canvas).off("mousemove",  this._onMoveRef);
                 $(this._canvas).off("mousedown",  this._onDownRef);
                 $(this._canvas).off("mouseleave", this._onLeaveRef);
@@ -56,7 +66,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
             this._canvas = canvas;
 
             // Add bindings to new canvas if it exists
-            if (this._canvas) {
+            if (this._canvas && this.listening) {
                 $(this._canvas).on("mousemove",  this._onMoveRef);
                 $(this._canvas).on("mousedown",  this._onDownRef);
                 $(this._canvas).on("mouseleave", this._onLeaveRef);
@@ -74,6 +84,18 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
         }
     },
     
+    /**
+     * Lets listeners added with $(mouse).on() know about a mouse event.
+     * Without a document, there can't be any listeners
+     */
+    _trigger : {
+        value : function (event, e) {
+            if (hasDocument) {
+                $(this).trigger(event, e);
+            }
+        }
+    },
+
     /**
      * Creates a state for the canvas mouse, based on the given input button ID
      */
@@ -143,7 +165,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
                 state.dragEnd.x = this.position.x;
                 state.dragEnd.y = this.position.y;
 
-                $(this).trigger(Mouse.Event.DOWN, e);
+                this._trigger(Mouse.Event.DOWN, e);
             }
         }
     },
@@ -156,7 +178,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
             var state = this.getState(e.which);
 
             if (state) {
-                $(this).trigger(Mouse.Event.BEFORE_UP, e);
+                this._trigger(Mouse.Event.BEFORE_UP, e);
 
                 state.isDown = false;
                 state.dragging = false;
@@ -167,7 +189,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
                 state.dragEnd.x = -Infinity;
                 state.dragEnd.y = -Infinity;
 
-                $(this).trigger(Mouse.Event.UP, e);
+                this._trigger(Mouse.Event.UP, e);
             }
         }
     },
@@ -197,7 +219,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
             this.position.x = newPos.x;
             this.position.y = newPos.y;
 
-            $(this).trigger(Mouse.Event.MOVE, e);
+            this._trigger(Mouse.Event.MOVE, e);
         }
     },
 
@@ -222,7 +244,7 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
                 }
             }
 
-            $(this).trigger(Mouse.Event.LEAVE, e);
+            this._trigger(Mouse.Event.LEAVE, e);
         }
     },
 
@@ -247,11 +269,11 @@ Mouse.prototype = Object.freeze(Object.create(Mouse.prototype, {
                 }
             }
 
-            $(this).trigger(Mouse.Event.ENTER, e);
+            this._trigger(Mouse.Event.ENTER, e);
         }
     }
 }));
 
 Object.freeze(Mouse);
 
-module.exports = Mouse
\ No newline at end of file
+module.exports = Mouse;
\ No newline at end of file
@@ -0,0 +1,5 @@
+"use strict";
+
+// Whether or not there's a real DOM. This is checked before PIXI is given a
+// stand-in DOM (see headless.js), so it stays false under Node
+module.exports = typeof window !== 'undefined' && typeof document !== 'undefined';
\ No newline at end of file
@@ -0,0 +1,95 @@
+"use strict";
+
+// A stand-in DOM that lets PIXI load (and create textures, text and
+// graphics) without a browser, such as when a headless game is run by Node.
+// Nothing can be rendered with it: canvases are never drawn to, and images
+// never load.
+//
+// Only what's missing is defined. The stand-in window has no document, so
+// that jQuery doesn't mistake it for a browser window
+
+var noop = function () {};
+
+// A 2D context that draws nothing. Reading pixels gives transparent ones
+var context = new Proxy({}, {
+  get: function (target, name) {
+    if (name === 'getImageData') {
+      return function (x, y, width, height) {
+        return {
+          width:  width,
+          height: height,
+          data:   new Uint8ClampedArray(Math.max(0, width * height * 4))
+        };
+      };
+    }
+
+    if (name === 'measureText') {
+      return function () { return {width: 0}; };
+    }
+
+    return name in target ? target[name] : noop;
+  }
+});
+
+var Element = function (tagName) {
+  this.tagName  = tagName.toUpperCase();
+  this.style    = {};
+  this.width    = 0;
+  this.height   = 0;
+};
+
+Element.prototype = Object.freeze(Object.create(Object.prototype, {
+  getContext: {
+    value: function (type) {
+      return type === '2d' ? context : null;
+    }
+  },
+
+  addEventListener:    { value: noop },
+  removeEventListener: { value: noop },
+  appendChild:         { value: noop },
+  removeChild:         { value: noop },
+  setAttribute:        { value: noop }
+}));
+
+/**
+ * Images never load without a browser, so textures made from them keep a
+ * size of 0 (unless they're given a frame)
+ */
+var Image = function (width = 0, height = 0) {
+  Element.call(this, 'img');
+
+  this.width    = width;
+  this.height   = height;
+  this.complete = false;
+  this.src      = '';
+};
+
+Image.prototype = Object.freeze(Object.create(Element.prototype));
+
+if (typeof global.document === 'undefined') {
+  global.document = {
+    createElement:       (tagName) => new Element(tagName),
+    addEventListener:    noop,
+    removeEventListener: noop
+  };
+}
+
+if (typeof global.navigator === 'undefined') {
+  global.navigator = {userAgent: ''};
+}
+
+if (typeof global.Image === 'undefined') {
+  global.Image = Image;
+}
+
+if (typeof global.window === 'undefined') {
+  global.window = {
+    console:             console,
+    navigator:           global.navigator,
+    devicePixelRatio:    1,
+    location:            {href: '', protocol: 'file:', hostname: '', port: ''},
+    addEventListener:    noop,
+    removeEventListener: noop
+  };
+}
\ No newline at end of file
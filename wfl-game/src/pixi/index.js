@@ -0,0 +1,12 @@
+"use strict";
+
+const hasDom = require('./hasDom.js');
+
+// PIXI needs a DOM to load. Without one (such as when a headless game is run
+// by Node), it's given a stand-in DOM first. Either way, this is PIXI itself,
+// so games get the same API in and out of the browser
+if (!hasDom) {
+  require('./headless.js');
+}
+
+module.exports = require('pixi.js');
\ No newline at end of file
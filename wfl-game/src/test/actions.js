@@ -0,0 +1,89 @@
+"use strict";
+
+// Binds actions and axes to a keyboard and a mouse, and makes sure that they
+// follow the keys and buttons they're bound to from frame to frame
+
+const assert = require('assert');
+const wfl    = require('../index.js');
+
+const keys = wfl.input.keys;
+
+assert.strictEqual(wfl.actions.Actions, wfl.actions.Action);
+
+// Stands in for a mouse, with only the left button
+var mouse = {
+  left:     {isDown: false},
+  getState: function (which) {
+    return which === 1 ? this.left : undefined;
+  }
+};
+
+var keyboard = new wfl.input.Keyboard();
+var actions  = new wfl.actions.ActionMap(keyboard, mouse);
+
+// Binding
+var jump = actions.bind("jump", keys.SPACEBAR);
+
+assert.ok(jump instanceof wfl.actions.Action);
+assert.strictEqual(actions.bind("jump", [keys.W, keys.SPACEBAR], 1), jump);
+assert.deepStrictEqual(jump.keys, [keys.SPACEBAR, keys.W]);
+assert.deepStrictEqual(jump.mouseButtons, [1]);
+assert.strictEqual(actions.getAction("jump"), jump);
+assert.strictEqual(actions.isActive("missing"), false);
+assert.strictEqual(actions.justActivated("missing"), false);
+
+// Activating
+assert.strictEqual(actions.isActive("jump"), false);
+
+keyboard.press(keys.SPACEBAR);
+assert.strictEqual(actions.isActive("jump"), true);
+assert.strictEqual(actions.justActivated("jump"), true);
+assert.strictEqual(actions.justDeactivated("jump"), false);
+
+// Still held on the next frame
+actions.update();
+keyboard.update();
+assert.strictEqual(actions.isActive("jump"), true);
+assert.strictEqual(actions.justActivated("jump"), false);
+
+// Another binding keeps the action active
+keyboard.release(keys.SPACEBAR);
+mouse.left.isDown = true;
+assert.strictEqual(actions.isActive("jump"), true);
+assert.strictEqual(actions.justDeactivated("jump"), false);
+
+actions.update();
+keyboard.update();
+mouse.left.isDown = false;
+assert.strictEqual(actions.isActive("jump"), false);
+assert.strictEqual(actions.justDeactivated("jump"), true);
+
+actions.update();
+keyboard.update();
+assert.strictEqual(actions.justDeactivated("jump"), false);
+
+// Axes
+actions.bindAxis("move_x", keys.A, keys.D);
+actions.bindAxis("move_x", keys.LEFT, keys.RIGHT);
+assert.strictEqual(actions.getAxis("move_x"), 0);
+assert.strictEqual(actions.getAxis("missing"), 0);
+
+keyboard.press(keys.LEFT);
+assert.strictEqual(actions.getAxis("move_x"), -1);
+
+keyboard.press(keys.D);
+assert.strictEqual(actions.getAxis("move_x"), 0);
+
+keyboard.release(keys.LEFT);
+assert.strictEqual(actions.getAxis("move_x"), 1);
+
+keyboard.release(keys.D);
+
+// Unbinding
+actions.unbind("jump");
+actions.unbind("move_x");
+keyboard.press(keys.SPACEBAR);
+keyboard.press(keys.A);
+assert.strictEqual(actions.getAction("jump"), undefined);
+assert.strictEqual(actions.isActive("jump"), false);
+assert.strictEqual(actions.getAxis("move_x"), 0);
\ No newline at end of file
@@ -0,0 +1,101 @@
+"use strict";
+
+// Lets an animator pick a game object's state from its parameters, through
+// conditions, triggers, transitions from any state and exits on completion
+
+const assert = require('assert');
+const wfl    = require('../index.js');
+
+const PIXI      = wfl.PIXI;
+const animation = wfl.core.entities.animation;
+const Animator  = animation.Animator;
+
+// Creates a state with frames that each last 2 ticks
+var createState = function (totalFrames, mode = "loop") {
+  var state = new animation.GameObjectState();
+
+  state.mode = mode;
+
+  for (var i = 0; i < totalFrames; i++) {
+    state.addFrame(new animation.FrameObject(PIXI.Texture.EMPTY, 2));
+  }
+
+  return state;
+};
+
+var player = new wfl.core.entities.PhysicsObject();
+
+player.addState("idle",   createState(2));
+player.addState("run",    createState(2));
+player.addState("attack", createState(3, "once"));
+player.addState("land",   createState(2));
+
+player.animator = Animator.fromJSON(JSON.stringify({
+  entry: "land",
+  parameters: {
+    speed:  {type: "float", value: 0},
+    attack: "trigger"
+  },
+  transitions: [
+    {from: "land", to: "idle", exitOnComplete: true},
+    {from: "idle", to: "run", conditions: [
+      {parameter: "speed", operator: ">", value: 0.1}
+    ]},
+    {from: "run", to: "idle", conditions: [
+      {parameter: "speed", operator: "<=", value: 0.1}
+    ]},
+    {from: "*", to: "attack", conditions: [{parameter: "attack"}]},
+    {from: "attack", to: "idle", exitOnComplete: true}
+  ]
+}));
+
+var step = function (ticks = 1) {
+  for (var i = 0; i < ticks; i++) {
+    player.update(1);
+  }
+
+  return player.currentState.name;
+};
+
+// The entry state is played through before its exit is taken
+assert.strictEqual(step(), "land");
+assert.strictEqual(step(3), "land");
+assert.strictEqual(step(), "idle");
+
+// Conditions on parameters
+player.animator.setFloat("speed", 1);
+assert.strictEqual(step(), "run");
+
+player.animator.setFloat("speed", 0);
+assert.strictEqual(step(), "idle");
+
+// Triggers are taken from any state, and reset once they're used
+player.animator.setTrigger("attack");
+assert.strictEqual(step(), "attack");
+assert.strictEqual(player.animator.getParameter("attack"), false);
+
+// States played once only exit when they're complete
+assert.strictEqual(step(2), "attack");
+assert.strictEqual(step(6), "idle");
+
+player.animator.setFloat("speed", 1);
+assert.strictEqual(step(), "run");
+
+// Animators can also be built up in code, for plain game objects
+var door = new wfl.core.entities.GameObject();
+
+door.addState("closed", createState(1));
+door.addState("open",   createState(1));
+
+door.animator = new Animator();
+door.animator.addParameter("unlocked", Animator.ParameterType.BOOL);
+door.animator.addTransition("closed", "open", {
+  conditions: [{parameter: "unlocked"}]
+});
+
+door.update(1);
+assert.strictEqual(door.currentState.name, "closed");
+
+door.animator.setBool("unlocked", true);
+door.update(1);
+assert.strictEqual(door.currentState.name, "open");
\ No newline at end of file
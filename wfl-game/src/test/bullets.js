@@ -0,0 +1,46 @@
+"use strict";
+
+// Fires fast boxes and circles at a thin wall. Only bullets are swept, so
+// only bullets can't tunnel through it
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const geom = wfl.geom;
+
+// Fires a 10 x 10 projectile at 150 per step towards a wall that is 4 wide at
+// x = 100, returning where it is after 3 steps
+var fire = function (bullet, setup = () => {}) {
+  var {game, scene} = helpers.createGame();
+  var wall          = helpers.createBox(4, 200);
+  var projectile    = helpers.createBox(10, 10);
+
+  wall.fixed      = true;
+  wall.position.x = 100;
+  scene.addGameObject(wall);
+
+  projectile.bullet     = bullet;
+  projectile.maxSpeed   = 1000;
+  projectile.velocity.x = 150;
+  setup(projectile);
+  scene.addGameObject(projectile);
+
+  for (var i = 0; i < 3; i++) {
+    game.step(1);
+  }
+
+  return projectile.position.x;
+};
+
+var circle = (projectile) => { projectile.shape = new geom.Circle(5); };
+var aabb   = (projectile) => { projectile.vertices = []; };
+
+// The wall's left side is at 98, so a stopped projectile ends up at 93
+for (let setup of [undefined, circle]) {
+  assert.ok(fire(false, setup) > 100, "only bullets should be swept");
+  assert.ok(Math.abs(fire(true, setup) - 93) < 0.5, "bullet went through the wall");
+}
+
+// Without vertices, bullets are swept by their AABB
+assert.ok(Math.abs(fire(true, aabb) - 93) < 0.5, "bullet went through the wall");
\ No newline at end of file
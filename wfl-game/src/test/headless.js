@@ -0,0 +1,62 @@
+"use strict";
+
+// Runs a headless game under plain Node (without a DOM) to make sure that
+// gameplay can be simulated outside of a browser
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const entities = wfl.core.entities;
+const geom     = wfl.geom;
+const keys     = wfl.input.keys;
+
+var game  = wfl.create(undefined, {headless: true, width: 640, height: 480});
+var scene = new wfl.display.Scene(game.canvas);
+
+scene.gravity = new geom.Vec2(0, 0.5);
+game.setScene(scene);
+
+var ground = helpers.createBox(400, 20);
+ground.bodyType = entities.PhysicsObject.BODY_TYPE.STATIC;
+ground.position.x = 0;
+ground.position.y = 100;
+scene.addGameObject(ground);
+
+var crate = helpers.createBox(20, 20);
+crate.maxSpeed   = 10;
+crate.position.x = 0;
+crate.position.y = 0;
+scene.addGameObject(crate);
+
+assert.strictEqual(game.headless, true);
+assert.strictEqual(game.renderer, undefined);
+assert.strictEqual(game.getScene(), scene);
+
+for (var i = 0; i < 120; i++) {
+  game.step(1);
+}
+
+// The crate fell onto the ground, and came to rest on top of it
+assert.ok(crate.position.y > 0, "crate should fall");
+assert.ok(
+  Math.abs(crate.position.y - 80) < 2,
+  "crate should rest on the ground, but is at y = " + crate.position.y
+);
+
+// Input devices that aren't bound to the DOM can still be used, and reach
+// the scene
+game.actions.bind("jump", keys.SPACEBAR);
+game.keyboard.press(keys.SPACEBAR);
+assert.ok(game.keyboard.isPressed(keys.SPACEBAR));
+assert.strictEqual(scene.keyboard, game.keyboard);
+assert.ok(scene.actions.justActivated("jump"));
+
+game.step(1);
+assert.ok(scene.actions.isActive("jump"));
+assert.ok(!scene.actions.justActivated("jump"));
+
+game.keyboard.release(keys.SPACEBAR);
+assert.ok(!game.keyboard.isPressed(keys.SPACEBAR));
+assert.ok(game.keyboard.justReleased(keys.SPACEBAR));
+assert.ok(scene.actions.justDeactivated("jump"));
\ No newline at end of file
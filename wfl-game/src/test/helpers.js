@@ -0,0 +1,41 @@
+"use strict";
+
+// Shared setup for the tests
+
+const wfl = require('../index.js');
+
+const PIXI     = wfl.PIXI;
+const entities = wfl.core.entities;
+
+/**
+ * Creates a physics object with a box collision shape
+ */
+var createBox = function (width, height, Type = entities.PhysicsObject) {
+  var box     = new Type();
+  var state   = entities.GameObject.createState();
+  var texture = new PIXI.Texture(
+    new PIXI.BaseTexture(), new PIXI.Rectangle(0, 0, width, height)
+  );
+
+  state.addFrame(entities.GameObject.createFrame(texture));
+  box.addState(entities.GameObject.STATE.DEFAULT, state);
+
+  return box;
+};
+
+/**
+ * Creates a headless game with a scene (of the given type) set on it
+ */
+var createGame = function (SceneType = wfl.display.Scene) {
+  var game  = wfl.create(undefined, {headless: true, width: 640, height: 480});
+  var scene = new SceneType(game.canvas);
+
+  game.setScene(scene);
+
+  return {game: game, scene: scene};
+};
+
+module.exports = {
+  createBox  : createBox,
+  createGame : createGame
+};
\ No newline at end of file
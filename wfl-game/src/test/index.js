@@ -0,0 +1,14 @@
+"use strict";
+
+// Runs every test. Each one throws (through assert) when it fails
+
+require('./headless.js');
+require('./stepping.js');
+require('./scenes.js');
+require('./actions.js');
+require('./queries.js');
+require('./joints.js');
+require('./oneWayPlatforms.js');
+require('./bullets.js');
+require('./sleep.js');
+require('./animator.js');
\ No newline at end of file
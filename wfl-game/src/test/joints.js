@@ -0,0 +1,128 @@
+"use strict";
+
+// Constrains physics objects with each kind of joint while they're pulled by
+// gravity, and makes sure that each keeps its constraint
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const geom   = wfl.geom;
+const joints = wfl.core.joints;
+
+var createScene = function () {
+  var {game, scene} = helpers.createGame();
+
+  scene.gravity = new geom.Vec2(0, 0.3);
+
+  return {game: game, scene: scene};
+};
+
+var createBox = function (scene, x, y) {
+  var box = helpers.createBox(10, 10);
+
+  box.maxSpeed   = 100;
+  box.position.x = x;
+  box.position.y = y;
+  scene.addGameObject(box);
+
+  return box;
+};
+
+var run = function (game, steps, check = () => {}) {
+  for (var i = 0; i < steps; i++) {
+    game.step(1);
+    check();
+  }
+};
+
+var distance = (ax, ay, bx, by) => Math.sqrt((bx - ax) * (bx - ax) + (by - ay) * (by - ay));
+
+// A distance joint swings a pendulum around its pivot at a fixed length
+(function () {
+  var {game, scene} = createScene();
+  var bob   = createBox(scene, 100, 0);
+  var joint = scene.addJoint(
+    new joints.DistanceJoint(bob, null, new geom.Vec2(), new geom.Vec2(0, 0))
+  );
+
+  assert.strictEqual(joint.scene, scene);
+  assert.deepStrictEqual(scene.getJoints(), [joint]);
+
+  run(game, 100, () => {
+    var length = distance(0, 0, bob.position.x, bob.position.y);
+    assert.ok(Math.abs(length - 100) < 0.5, "pendulum length is " + length);
+  });
+
+  assert.ok(bob.position.y > 20, "pendulum should swing down");
+})();
+
+// A rope joint is slack until it's pulled to its max length
+(function () {
+  var {game, scene} = createScene();
+  var weight = createBox(scene, 0, 0);
+  var rope   = scene.addJoint(
+    new joints.RopeJoint(weight, null, new geom.Vec2(), new geom.Vec2(0, -50), 80)
+  );
+
+  assert.ok(!rope.isTaut());
+
+  run(game, 200, () => {
+    var length = distance(0, -50, weight.position.x, weight.position.y);
+    assert.ok(length < 80.5, "rope stretched to " + length);
+  });
+
+  assert.ok(rope.isTaut());
+})();
+
+// A spring joint settles at its rest length
+(function () {
+  var {game, scene} = createScene();
+  var a = createBox(scene, 0, 0);
+  var b = createBox(scene, 100, 0);
+
+  scene.gravity = null;
+  scene.addJoint(new joints.SpringJoint(a, b, undefined, undefined, 50, 0.05, 0.05));
+
+  run(game, 200);
+
+  var length = b.position.x - a.position.x;
+  assert.ok(Math.abs(length - 50) < 0.5, "spring settled at " + length);
+})();
+
+// A weld joint keeps two objects together, turning as one, without them
+// colliding with each other
+(function () {
+  var {game, scene} = createScene();
+  var a = createBox(scene, 0, 0);
+  var b = createBox(scene, 8, 8);
+
+  a.fixedRotation = false;
+  b.fixedRotation = false;
+  scene.addJoint(new joints.WeldJoint(a, b, new geom.Vec2(4, 4)));
+  b.angularVelocity = 0.05;
+
+  run(game, 100, () => {
+    var length = distance(a.position.x, a.position.y, b.position.x, b.position.y);
+    assert.ok(Math.abs(length - Math.sqrt(128)) < 0.5, "weld moved apart to " + length);
+    assert.ok(Math.abs(b.rotation - a.rotation) < 0.01, "weld turned apart");
+  });
+
+  assert.ok(a.position.y > 100, "welded objects should fall together");
+})();
+
+// Removing a game object removes its joints
+(function () {
+  var {game, scene} = createScene();
+  var a = createBox(scene, 0, 0);
+  var b = createBox(scene, 20, 0);
+  var c = createBox(scene, 40, 0);
+
+  scene.addJoint(new joints.DistanceJoint(a, b));
+  var joint = scene.addJoint(new joints.DistanceJoint(b, c));
+
+  game.step(1);
+  scene.removeGameObject(a);
+
+  assert.deepStrictEqual(scene.getJoints(), [joint]);
+})();
\ No newline at end of file
@@ -0,0 +1,56 @@
+"use strict";
+
+// Drops and jumps boxes onto a one-way platform, which only stops them from
+// above
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const geom = wfl.geom;
+
+// Runs a box from (0, startY) at the given vertical speed next to a one-way
+// platform at y = 0, returning the box's y after every step
+var run = function (startY, speedY, setup = () => {}) {
+  var {game, scene} = helpers.createGame();
+  var platform      = helpers.createBox(200, 10);
+  var box           = helpers.createBox(10, 10);
+
+  scene.gravity = new geom.Vec2(0, 0.3);
+
+  platform.fixed  = true;
+  platform.oneWay = true;
+  scene.addGameObject(platform);
+
+  box.maxSpeed   = 20;
+  box.position.y = startY;
+  box.velocity.y = speedY;
+  scene.addGameObject(box);
+
+  setup(platform, box);
+
+  var ys = [];
+
+  for (var i = 0; i < 100; i++) {
+    game.step(1);
+    ys.push(box.position.y);
+  }
+
+  return ys;
+};
+
+var last = (ys) => ys[ys.length - 1];
+
+// The box lands on top of the platform (which is 10 tall)
+var landed = run(-40, 0);
+assert.ok(Math.abs(last(landed) + 10) < 0.5, "box landed at " + last(landed));
+assert.ok(Math.max.apply(null, landed) < -9.5, "box fell into the platform");
+
+// Jumping up through the platform isn't stopped, and the box lands on top
+var jumped = run(40, -8);
+assert.ok(Math.min.apply(null, jumped) < -40, "box was stopped from below");
+assert.ok(Math.abs(last(jumped) + 10) < 0.5, "box landed at " + last(jumped));
+
+// The platform can let a box drop through it for a while
+var dropped = run(-40, 0, (platform, box) => platform.disableOneWayFor(box, 20));
+assert.ok(last(dropped) > 100, "box didn't drop through");
\ No newline at end of file
@@ -0,0 +1,52 @@
+"use strict";
+
+// Queries a scene for the game objects in an area
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const geom = wfl.geom;
+
+// Compares game objects by ID, to keep failures readable
+var ids = (gameObjects) => gameObjects.map((obj) => obj.wflId);
+
+var {game, scene} = helpers.createGame();
+
+var box = helpers.createBox(20, 20);
+box.position.x = 100;
+box.position.y = 100;
+scene.addGameObject(box);
+
+// Spread game objects out so that the scene has many buckets
+for (var i = -10; i <= 10; i++) {
+  var marker = helpers.createBox(4, 4);
+  marker.position.x = i * 400;
+  marker.position.y = 2000;
+  scene.addGameObject(marker);
+}
+
+// Much larger than a bucket, with its center far from what's queried
+var wall = helpers.createBox(3000, 40);
+wall.solid      = false;
+wall.position.x = 2000;
+wall.position.y = -500;
+scene.addGameObject(wall);
+
+game.step(1);
+
+// Vec2s and plain {x, y}s can both be queried
+for (let point of [new geom.Vec2(105, 95), {x: 105, y: 95}]) {
+  assert.deepStrictEqual(ids(scene.queryPoint(point)), ids([box]));
+  assert.deepStrictEqual(ids(scene.queryCircle(point, 5)), ids([box]));
+}
+
+assert.deepStrictEqual(ids(scene.queryPoint({x: 300, y: 300})), ids([]));
+assert.deepStrictEqual(ids(scene.queryCircle({x: 115, y: 100}, 10)), ids([box]));
+assert.deepStrictEqual(ids(scene.queryCircle({x: 125, y: 100}, 10)), ids([]));
+assert.deepStrictEqual(ids(scene.queryRect({x: 80, y: 80, width: 10, height: 10})), ids([box]));
+
+// Large game objects are found from far away buckets
+assert.deepStrictEqual(ids(scene.queryPoint({x: 600, y: -500})), ids([wall]));
+assert.deepStrictEqual(ids(scene.queryCircle({x: 600, y: -530}, 15)), ids([wall]));
+assert.deepStrictEqual(ids(scene.queryRect({x: 590, y: -490, width: 10, height: 10})), ids([wall]));
\ No newline at end of file
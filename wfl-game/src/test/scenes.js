@@ -0,0 +1,118 @@
+"use strict";
+
+// Pushes, pops and changes scenes, and makes sure that only the topmost scene
+// that accepts input receives it
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const keys = wfl.input.keys;
+
+var events = [];
+
+// Records when it's entered, exited, paused, resumed, updated and destroyed
+class LoggingScene extends wfl.display.Scene {
+  onEnter()  { events.push(this.name + " enter");   }
+  onExit()   { events.push(this.name + " exit");    }
+  onPause()  { events.push(this.name + " pause");   }
+  onResume() { events.push(this.name + " resume");  }
+  destroy()  { events.push(this.name + " destroy"); }
+
+  update(dt) {
+    events.push(this.name + " update");
+    super.update(dt);
+  }
+}
+
+var {game, scene: a} = helpers.createGame(LoggingScene);
+
+var createScene = function (name) {
+  var scene = new LoggingScene(game.canvas);
+  scene.name = name;
+  return scene;
+};
+
+var names = () => game.getScenes().map((scene) => scene.name).join(" ");
+
+a.name = "A";
+game.actions.bind("jump", keys.SPACEBAR);
+
+// Pushing pauses the scene below, which stops updating
+var b = createScene("B");
+events = [];
+game.pushScene(b);
+game.step(1);
+assert.strictEqual(names(), "A B");
+assert.strictEqual(game.getScene(), b);
+assert.deepStrictEqual(events, ["A pause", "B enter", "B update"]);
+
+// Scenes below can be let through to update
+b.updateBelow = true;
+events = [];
+game.step(1);
+assert.deepStrictEqual(events, ["A update", "B update"]);
+b.updateBelow = false;
+
+// Only the topmost scene receives input
+game.keyboard.press(keys.SPACEBAR);
+assert.strictEqual(b.keyboard, game.keyboard);
+assert.notStrictEqual(a.keyboard, game.keyboard);
+assert.ok(b.actions.isActive("jump"));
+assert.ok(!a.actions.isActive("jump"));
+
+// Unless it doesn't accept input, which passes it to the scene below
+b.acceptsInput = false;
+game.step(1);
+assert.strictEqual(a.keyboard, game.keyboard);
+assert.notStrictEqual(b.keyboard, game.keyboard);
+assert.ok(a.actions.isActive("jump"));
+assert.ok(!b.actions.isActive("jump"));
+b.acceptsInput = true;
+game.keyboard.release(keys.SPACEBAR);
+
+// Scenes request pushes and pops, which happen on the next step
+var c = createScene("C");
+b.push(c);
+assert.strictEqual(names(), "A B");
+game.step(1);
+assert.strictEqual(names(), "A B C");
+
+events = [];
+c.pop();
+game.step(1);
+assert.strictEqual(names(), "A B");
+assert.deepStrictEqual(events.slice(0, 3), ["C exit", "C destroy", "B resume"]);
+
+// Changing scenes replaces the scene in place
+var d = createScene("D");
+events = [];
+b.change(d);
+game.step(1);
+assert.strictEqual(names(), "A D");
+assert.deepStrictEqual(events.slice(0, 3), ["B exit", "B destroy", "D enter"]);
+
+// With a transition, the new scene only takes the old scene's place once
+// the transition is complete. Neither receives input in the meantime
+var e = createScene("E");
+d.change(e, {transition: "fade", duration: 10});
+game.step(1);
+assert.strictEqual(names(), "A D");
+assert.notStrictEqual(d.keyboard, game.keyboard);
+assert.notStrictEqual(e.keyboard, game.keyboard);
+
+for (var i = 0; i < 20; i++) {
+  game.step(1);
+}
+
+assert.strictEqual(names(), "A E");
+assert.strictEqual(e.keyboard, game.keyboard);
+
+// Popping the topmost scene returns it, and setting a scene replaces all
+assert.strictEqual(game.popScene(), e);
+assert.strictEqual(names(), "A");
+
+events = [];
+game.setScene(createScene("F"));
+assert.strictEqual(names(), "F");
+assert.deepStrictEqual(events, ["A exit", "A destroy", "F enter"]);
\ No newline at end of file
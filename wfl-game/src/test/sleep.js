@@ -0,0 +1,100 @@
+"use strict";
+
+// Stacks boxes that allow sleep, and makes sure that they fall asleep once
+// they're resting, stay put while asleep, and wake up when disturbed
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+const geom          = wfl.geom;
+const PhysicsObject = wfl.core.entities.PhysicsObject;
+
+var {game, scene} = helpers.createGame();
+
+scene.gravity = new geom.Vec2(0, 0.2);
+
+var floor = helpers.createBox(400, 20);
+floor.fixed      = true;
+floor.position.y = 100;
+scene.addGameObject(floor);
+
+var crates = [];
+
+for (var i = 0; i < 3; i++) {
+  var crate = helpers.createBox(20, 20);
+
+  crate.allowSleep = true;
+  crate.maxSpeed   = 100;
+  crate.position.y = 79 - i * 21;
+  scene.addGameObject(crate);
+  crates.push(crate);
+}
+
+var exits = 0;
+crates[0].on(PhysicsObject.Event.COLLISION_EXIT, () => exits++);
+
+var allAsleep = () => crates.every((crate) => crate.sleeping);
+
+var stepUntilAsleep = function () {
+  for (var i = 0; i < 300 && !allAsleep(); i++) {
+    game.step(1);
+  }
+
+  assert.ok(allAsleep(), "crates should fall asleep");
+};
+
+var getYs = () => crates.map((crate) => crate.position.y);
+
+// The stack settles, then falls asleep
+stepUntilAsleep();
+
+var restingYs = getYs();
+
+// Sleeping crates stay where they are, and stay in contact
+for (var j = 0; j < 20; j++) {
+  game.step(1);
+}
+
+assert.ok(allAsleep());
+assert.deepStrictEqual(getYs(), restingYs);
+assert.strictEqual(exits, 0);
+
+// Impulses wake them up
+crates[2].addImpulse(new geom.Vec2(0, -1));
+assert.ok(!crates[2].sleeping);
+stepUntilAsleep();
+
+// So do objects running into them
+var ball = helpers.createBox(10, 10);
+ball.maxSpeed   = 100;
+ball.position.x = -100;
+ball.position.y = 80;
+ball.velocity.x = 3;
+scene.addGameObject(ball);
+
+var woken = false;
+
+for (var k = 0; k < 80; k++) {
+  game.step(1);
+  woken = woken || !crates[0].sleeping;
+}
+
+assert.ok(woken, "a hit should wake the crate");
+assert.ok(crates[0].position.x > 0, "the crate should be pushed");
+
+scene.removeGameObject(ball);
+stepUntilAsleep();
+
+// And taking away what they're resting on
+scene.removeGameObject(floor);
+assert.ok(!crates[0].sleeping);
+
+restingYs = getYs();
+for (var n = 0; n < 10; n++) {
+  game.step(1);
+}
+
+crates.forEach((crate, index) => {
+  assert.ok(crate.position.y > restingYs[index], "crates should fall");
+});
\ No newline at end of file
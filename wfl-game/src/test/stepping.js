@@ -0,0 +1,79 @@
+"use strict";
+
+// Steps a game at a variable rate and at a fixed rate, where the fixed steps
+// are caught up on with an accumulator and drawn with interpolation
+
+const assert  = require('assert');
+const wfl     = require('../index.js');
+const helpers = require('./helpers.js');
+
+// Counts its updates, along with the time step of the last one
+class CountingScene extends wfl.display.Scene {
+  update(dt) {
+    this.updates = (this.updates || 0) + 1;
+    this.lastDt  = dt;
+
+    super.update(dt);
+  }
+}
+
+var {game, scene} = helpers.createGame(CountingScene);
+
+var box = helpers.createBox(10, 10);
+box.maxSpeed   = 10;
+box.velocity.x = 0.5;
+scene.addGameObject(box);
+
+// Without a fixed step, every tick is one update by the elapsed time
+assert.strictEqual(game.fixedStep, false);
+game.step(1);
+game.step(1);
+assert.strictEqual(scene.updates, 2);
+assert.strictEqual(box.position.x, 1);
+
+// At 30 steps per second, every step is 2 frames long
+game.setFixedStep(true, 30);
+scene.updates = 0;
+
+game.step(1);
+assert.strictEqual(scene.updates, 0);
+assert.strictEqual(game.interpolationAlpha, 0.5);
+
+// Halfway between the previous step and the current one
+assert.strictEqual(box.position.x, 0.75);
+
+game.step(1);
+assert.strictEqual(scene.updates, 1);
+assert.strictEqual(scene.lastDt, 2);
+assert.strictEqual(game.interpolationAlpha, 0);
+assert.strictEqual(box.position.x, 1);
+
+game.step(1);
+assert.strictEqual(box.position.x, 1.5);
+
+// Interpolation is undone once fixed steps are turned off
+game.setFixedStep(false);
+assert.strictEqual(box.position.x, 2);
+game.setFixedStep(true, 30);
+
+// Long ticks take at most maxStepsPerTick steps, and drop the rest of the
+// time so that the game doesn't fall further behind
+scene.updates = 0;
+game.maxStepsPerTick = 3;
+game.step(21);
+assert.strictEqual(scene.updates, 3);
+assert.strictEqual(game.interpolationAlpha, 0.5);
+
+scene.updates = 0;
+game.step(1);
+assert.strictEqual(scene.updates, 1);
+assert.strictEqual(game.interpolationAlpha, 0);
+
+// Game objects that don't interpolate are drawn where they were simulated,
+// which is one step ahead of where they're drawn at an alpha of 0
+var drawnX = box.position.x;
+
+box.interpolate = false;
+game.step(1);
+assert.strictEqual(game.interpolationAlpha, 0.5);
+assert.strictEqual(box.position.x, drawnX + box.velocity.x * 2);
\ No newline at end of file